@@ -1,10 +1,11 @@
 const express = require("express");
 const fs = require("fs");
-const csv = require("csv-parser");
+const crypto = require("crypto");
 const handlebars = require("handlebars");
 const puppeteer = require("puppeteer");
+const os = require("os");
 const path = require("path");
-const { MongoClient } = require("mongodb");
+const { MongoClient, ObjectId } = require("mongodb");
 
 // Load .env in local dev (optional)
 try {
@@ -14,15 +15,36 @@ try {
   // dotenv is optional; ignore if not installed
 }
 
+// ZIP batches, XLSX exports and scheduled email need extra packages. They
+// are loaded on first use, so the server starts without them and only the
+// feature that needs a missing package fails, with a message naming it.
+function requireFeature(name, feature) {
+  try {
+    // eslint-disable-next-line global-require
+    return require(name);
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") throw error;
+    throw new Error(
+      `${feature} needs the "${name}" package (npm install ${name})`,
+    );
+  }
+}
+
 const app = express();
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 
-app.use(express.json());
+// Room for custom template uploads (MAX_TEMPLATE_SIZE) in a JSON body
+app.use(express.json({ limit: "1mb" }));
 app.use(express.static("public"));
 
+// Generated PDFs and their archive; REPORTS_DIR moves them out of the
+// checkout (the tests use a temporary directory)
+const GENERATED_REPORTS_DIR =
+  process.env.REPORTS_DIR || path.join(__dirname, "generated_reports");
+
 // Ensure generated_reports directory exists
-if (!fs.existsSync("./generated_reports")) {
-  fs.mkdirSync("./generated_reports");
+if (!fs.existsSync(GENERATED_REPORTS_DIR)) {
+  fs.mkdirSync(GENERATED_REPORTS_DIR, { recursive: true });
 }
 
 function getMongoDbName() {
@@ -73,26 +95,232 @@ function imageToBase64(imagePath) {
   }
 }
 
-// Helper function to read CSV data
-function readCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => results.push(data))
-      .on("end", () => resolve(results))
-      .on("error", (error) => reject(error));
-  });
-}
-
 // Helper function to normalize email for comparison
 function normalizeEmail(email) {
   if (!email) return "";
   return email.toLowerCase().trim();
 }
 
+// ============= AUTHENTICATION =============
+// Every /api route except login needs a signed session token, sent as the
+// report_session cookie or as "Authorization: Bearer <token>". Roles:
+//   admin      - every session, experience and report
+//   instructor - only the experiences listed in the user's experienceIds
+//   viewer     - only lists and downloads archived reports
+// Users live in the reportUsers collection ({ email, name, role,
+// experienceIds, passwordHash }). With AUTH_PROVIDER=local they are read
+// from the JSON file in AUTH_USERS_FILE instead, which may use plain
+// `password` fields; this is the stand-in identity store for dev and tests.
+
+const AUTH_COOKIE = "report_session";
+const AUTH_SESSION_TTL_MS =
+  (Number(process.env.AUTH_SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000;
+const USER_ROLES = ["admin", "instructor", "viewer"];
+
+let authSecret = process.env.AUTH_SECRET;
+if (!authSecret) {
+  authSecret = crypto.randomBytes(32).toString("hex");
+  console.warn("AUTH_SECRET is not set; logins will not survive a restart.");
+}
+
+function isLocalIdentityProvider() {
+  return process.env.AUTH_PROVIDER === "local";
+}
+
+// Look up a user by email in the configured identity store
+async function findUser(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+
+  if (isLocalIdentityProvider()) {
+    const file = process.env.AUTH_USERS_FILE;
+    const users = file
+      ? JSON.parse(fs.readFileSync(path.resolve(file), "utf8"))
+      : [];
+    return (
+      users.find((user) => normalizeEmail(user.email) === normalized) || null
+    );
+  }
+
+  const db = await getMongoDb();
+  return db.collection("reportUsers").findOne({ email: normalized });
+}
+
+// passwordHash is "scrypt$<salt hex>$<64-byte key hex>"
+function checkPassword(user, password) {
+  if (user.passwordHash) {
+    const [scheme, salt, hash] = String(user.passwordHash).split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return false;
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+  // Plain passwords are only accepted from the local stand-in
+  return (
+    isLocalIdentityProvider() &&
+    user.password !== undefined &&
+    String(user.password) === String(password)
+  );
+}
+
+function toSessionUser(user) {
+  return {
+    email: normalizeEmail(user.email),
+    name: user.name || user.email,
+    role: user.role,
+    experienceIds: (user.experienceIds || []).map(String),
+  };
+}
+
+function signAuthToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto
+    .createHmac("sha256", authSecret)
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+}
+
+// Returns the token payload, or null if it is forged, malformed or expired
+function verifyAuthToken(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+
+  const expected = crypto
+    .createHmac("sha256", authSecret)
+    .update(body)
+    .digest("base64url");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function readAuthToken(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${AUTH_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(AUTH_COOKIE.length + 1)) : "";
+}
+
+function canAccessExperience(user, experienceId) {
+  if (user.role === "admin") return true;
+  if (user.role !== "instructor") return false;
+  return user.experienceIds.includes(String(experienceId));
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ error: "You do not have permission to do this" });
+    }
+    return next();
+  };
+}
+
+// Admins and instructors can read student data and generate reports
+const requireStaff = requireRole("admin", "instructor");
+
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: "email and password are required" });
+    }
+
+    const user = await findUser(email);
+    if (!user || !checkPassword(user, password)) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    if (!USER_ROLES.includes(user.role)) {
+      return res.status(403).json({ error: "This account has no access" });
+    }
+
+    const token = signAuthToken({
+      email: normalizeEmail(user.email),
+      exp: Date.now() + AUTH_SESSION_TTL_MS,
+    });
+    res.cookie(AUTH_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: AUTH_SESSION_TTL_MS,
+    });
+    return res.json({ token, user: toSessionUser(user) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to log in",
+      details: error.message,
+    });
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  res.clearCookie(AUTH_COOKIE);
+  return res.json({ loggedOut: true });
+});
+
+// Everything below needs a logged-in user. The user record is looked up on
+// every request so role and assignment changes apply immediately.
+app.use("/api", async (req, res, next) => {
+  try {
+    const payload = verifyAuthToken(readAuthToken(req));
+    const user = payload && (await findUser(payload.email));
+    if (!user || !USER_ROLES.includes(user.role)) {
+      return res.status(401).json({ error: "Login required" });
+    }
+    req.user = toSessionUser(user);
+    return next();
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to check login",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/api/auth/me", (req, res) => {
+  return res.json({ user: req.user });
+});
+
+// Sessions that have an active instance of an experience the user can access
+async function listAccessibleSessionIds(db, user) {
+  const instances = await db
+    .collection("expInstanceData")
+    .find({ expInstanceStatus: true })
+    .project({ _id: 1, sessionID: 1, experience: 1 })
+    .toArray();
+
+  return new Set(
+    instances
+      .filter((doc) => {
+        const expObj = doc.experience || {};
+        const id = expObj.id ? String(expObj.id) : String(doc._id);
+        return canAccessExperience(user, id);
+      })
+      .map((doc) => String(doc.sessionID)),
+  );
+}
+
 // Get available sessions (from sessionData)
-app.get("/api/sessions", async (req, res) => {
+app.get("/api/sessions", requireStaff, async (req, res) => {
   try {
     if (!process.env.MONGODB_URI) {
       return res
@@ -116,6 +344,12 @@ app.get("/api/sessions", async (req, res) => {
         .toArray();
     }
 
+    // Instructors only see sessions where they teach
+    if (req.user.role !== "admin") {
+      const accessible = await listAccessibleSessionIds(db, req.user);
+      sessions = sessions.filter((doc) => accessible.has(String(doc._id)));
+    }
+
     const result = sessions
       .map((doc) => ({
         id: String(doc._id),
@@ -132,8 +366,48 @@ app.get("/api/sessions", async (req, res) => {
   }
 });
 
+// Active experiences for a session, de-duplicated by experience id and
+// sorted by label
+async function listExperiences(db, sessionId) {
+  const instances = await db
+    .collection("expInstanceData")
+    .find({ sessionID: sessionId, expInstanceStatus: true })
+    .project({ _id: 1, experience: 1 })
+    .toArray();
+
+  const experiences = instances
+    .map((doc) => {
+      const expObj = doc.experience || {};
+      const id = expObj.id ? String(expObj.id) : String(doc._id);
+      const name =
+        expObj.name === undefined || expObj.name === null
+          ? ""
+          : String(expObj.name).trim();
+      const category =
+        expObj.category === undefined || expObj.category === null
+          ? ""
+          : String(expObj.category).trim();
+      const label = `${name} ${category}`.replace(/\s+/g, " ").trim();
+      if (!label) return null;
+      return { id, label };
+    })
+    .filter(Boolean);
+
+  // De‑duplicate by id and sort by label
+  const uniqueById = new Map();
+  experiences.forEach((exp) => {
+    if (!uniqueById.has(exp.id)) {
+      uniqueById.set(exp.id, exp);
+    }
+  });
+
+  return Array.from(uniqueById.values()).sort((a, b) =>
+    a.label.localeCompare(b.label),
+  );
+}
+
 // Get available experiences for a specific session
-app.get("/api/experiences", async (req, res) => {
+app.get("/api/experiences", requireStaff, async (req, res) => {
   try {
     if (!process.env.MONGODB_URI) {
       return res
@@ -148,48 +422,198 @@ app.get("/api/experiences", async (req, res) => {
     }
 
     const db = await getMongoDb();
-    const expInstanceCollection = db.collection("expInstanceData");
+    const experiences = (await listExperiences(db, sessionId)).filter((exp) =>
+      canAccessExperience(req.user, exp.id),
+    );
 
-    // Active experiences for this session
-    const instances = await expInstanceCollection
-      .find({ sessionID: sessionId, expInstanceStatus: true })
-      .project({ _id: 1, experience: 1 })
-      .toArray();
+    return res.json({ experiences });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load experiences",
+      details: error.message,
+    });
+  }
+});
 
-    const experiences = instances
-      .map((doc) => {
-        const expObj = doc.experience || {};
-        const id = expObj.id ? String(expObj.id) : String(doc._id);
-        const name =
-          expObj.name === undefined || expObj.name === null
-            ? ""
-            : String(expObj.name).trim();
-        const category =
-          expObj.category === undefined || expObj.category === null
-            ? ""
-            : String(expObj.category).trim();
-        const label = `${name} ${category}`.replace(/\s+/g, " ").trim();
-        if (!label) return null;
-        return { id, label };
-      })
-      .filter(Boolean);
+// ============= INSTRUCTORS =============
+// Instructor names printed on reports come from the admin-managed
+// instructorData collection ({ name, email, experienceIds, sessionIds }).
+// An empty sessionIds list means the instructor teaches the experience in
+// every session.
+
+function toInstructor(doc) {
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    email: doc.email || "",
+    experienceIds: (doc.experienceIds || []).map(String),
+    sessionIds: (doc.sessionIds || []).map(String),
+  };
+}
+
+function teachesExperience(instructor, experienceId, sessionIds = []) {
+  return (
+    instructor.experienceIds.includes(String(experienceId)) &&
+    (!instructor.sessionIds.length ||
+      sessionIds.every((id) => instructor.sessionIds.includes(String(id))))
+  );
+}
+
+async function findInstructorsByName(db, name) {
+  const docs = await db
+    .collection("instructorData")
+    .find({ name: String(name).trim() })
+    .toArray();
+  return docs.map(toInstructor);
+}
+
+// Make sure the instructor on a report request actually teaches its
+// experience in the requested session(s); returns an error message or null
+async function checkReportInstructor(db, params) {
+  if (!params.instructorName) return "instructor is required";
 
-    // De‑duplicate by id and sort by label
-    const uniqueById = new Map();
-    experiences.forEach((exp) => {
-      if (!uniqueById.has(exp.id)) {
-        uniqueById.set(exp.id, exp);
+  const sessionIds = params.sessions.map((session) => session.value);
+  const instructors = await findInstructorsByName(db, params.instructorName);
+  const assigned = instructors.some((instructor) =>
+    teachesExperience(instructor, params.experienceValue, sessionIds),
+  );
+  return assigned ? null : "Instructor is not assigned to this experience";
+}
+
+// Validate an instructor body for create/update; returns { error } or the
+// fields to store
+function parseInstructorBody(body) {
+  const { name, email, experienceIds, sessionIds } = body || {};
+  const trimmedName =
+    name === undefined || name === null ? "" : String(name).trim();
+
+  if (!trimmedName) {
+    return { error: "name is required" };
+  }
+  if (!Array.isArray(experienceIds) || !experienceIds.length) {
+    return { error: "experienceIds must be a non-empty array" };
+  }
+  if (sessionIds !== undefined && !Array.isArray(sessionIds)) {
+    return { error: "sessionIds must be an array" };
+  }
+
+  return {
+    name: trimmedName,
+    email: normalizeEmail(email),
+    experienceIds: experienceIds.map(String),
+    sessionIds: (sessionIds || []).map(String),
+  };
+}
+
+// Instructors for a session and/or experience. Admins may omit both to get
+// the whole collection for management.
+app.get("/api/instructors", requireStaff, async (req, res) => {
+  try {
+    const { sessionId, experienceId } = req.query;
+    const sessionIds = sessionId ? [String(sessionId)] : [];
+
+    const db = await getMongoDb();
+    let instructors = (
+      await db.collection("instructorData").find({}).toArray()
+    ).map(toInstructor);
+
+    if (experienceId) {
+      if (!canAccessExperience(req.user, experienceId)) {
+        return res
+          .status(403)
+          .json({ error: "You do not have access to this experience" });
       }
+      instructors = instructors.filter((instructor) =>
+        teachesExperience(instructor, experienceId, sessionIds),
+      );
+    } else if (sessionId) {
+      const experienceIds = (await listExperiences(db, String(sessionId)))
+        .map((exp) => exp.id)
+        .filter((id) => canAccessExperience(req.user, id));
+      instructors = instructors.filter((instructor) =>
+        experienceIds.some((id) =>
+          teachesExperience(instructor, id, sessionIds),
+        ),
+      );
+    } else if (req.user.role !== "admin") {
+      return res.status(400).json({
+        error: "sessionId or experienceId query parameter is required",
+      });
+    }
+
+    instructors.sort((a, b) => a.name.localeCompare(b.name));
+    return res.json({ instructors });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load instructors",
+      details: error.message,
     });
+  }
+});
 
-    const sorted = Array.from(uniqueById.values()).sort((a, b) =>
-      a.label.localeCompare(b.label),
-    );
+app.post("/api/instructors", requireRole("admin"), async (req, res) => {
+  try {
+    const fields = parseInstructorBody(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
 
-    return res.json({ experiences });
+    const db = await getMongoDb();
+    const result = await db.collection("instructorData").insertOne(fields);
+    const instructor = toInstructor({ ...fields, _id: result.insertedId });
+    return res.status(201).json({ instructor });
   } catch (error) {
     return res.status(500).json({
-      error: "Failed to load experiences",
+      error: "Failed to create instructor",
+      details: error.message,
+    });
+  }
+});
+
+app.put("/api/instructors/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const fields = parseInstructorBody(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Instructor not found" });
+    }
+
+    const db = await getMongoDb();
+    const _id = new ObjectId(req.params.id);
+    const result = await db
+      .collection("instructorData")
+      .updateOne({ _id }, { $set: fields });
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: "Instructor not found" });
+    }
+    return res.json({ instructor: toInstructor({ ...fields, _id }) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to update instructor",
+      details: error.message,
+    });
+  }
+});
+
+app.delete("/api/instructors/:id", requireRole("admin"), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: "Instructor not found" });
+    }
+
+    const db = await getMongoDb();
+    const result = await db
+      .collection("instructorData")
+      .deleteOne({ _id: new ObjectId(req.params.id) });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: "Instructor not found" });
+    }
+    return res.json({ deleted: req.params.id });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to delete instructor",
       details: error.message,
     });
   }
@@ -233,28 +657,31 @@ function calculateDistribution(data, field) {
 }
 
 // Helper function to calculate distribution for array fields (e.g., majors array)
-function calculateDistributionFromArray(data, field) {
+// Several fields may be passed to merge them into one distribution
+// (e.g., honorsMinors and otherMinors)
+function calculateDistributionFromArray(data, fields) {
+  const fieldList = Array.isArray(fields) ? fields : [fields];
   const counts = {};
   let total = 0;
 
+  const addValue = (item) => {
+    const value =
+      item === undefined || item === null ? "" : String(item).trim();
+    if (value !== "") {
+      counts[value] = (counts[value] || 0) + 1;
+      total++;
+    }
+  };
+
   data.forEach((row) => {
-    const raw = getNestedValue(row, field);
-    if (Array.isArray(raw)) {
-      raw.forEach((item) => {
-        const value =
-          item === undefined || item === null ? "" : String(item).trim();
-        if (value !== "") {
-          counts[value] = (counts[value] || 0) + 1;
-          total++;
-        }
-      });
-    } else if (raw !== undefined && raw !== null) {
-      const value = String(raw).trim();
-      if (value !== "") {
-        counts[value] = (counts[value] || 0) + 1;
-        total++;
+    fieldList.forEach((field) => {
+      const raw = getNestedValue(row, field);
+      if (Array.isArray(raw)) {
+        raw.forEach(addValue);
+      } else if (raw !== undefined && raw !== null) {
+        addValue(raw);
       }
-    }
+    });
   });
 
   return Object.entries(counts)
@@ -280,6 +707,8 @@ function calculateBooleanDistribution(data, field, trueLabel = "Yes", falseLabel
     }
   });
 
+  if (total === 0) return [];
+
   return Object.entries(counts)
     .map(([key, count]) => ({
       label: key,
@@ -289,21 +718,101 @@ function calculateBooleanDistribution(data, field, trueLabel = "Yes", falseLabel
     .sort((a, b) => b.percentage - a.percentage);
 }
 
+// Numeric buckets come from the report definition's "buckets" block. `min`
+// is inclusive, `max` is exclusive; either may be omitted for an open-ended
+// bucket. They can be overridden per name with a JSON file named by
+// PROFILE_BUCKETS_FILE, e.g. { "gpa": [{ "label": "3.0+", "min": 3 }] }
+function resolveBuckets(definition) {
+  const buckets = definition.buckets || {};
+  const bucketsFile = process.env.PROFILE_BUCKETS_FILE;
+  if (!bucketsFile) return buckets;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(bucketsFile, "utf8"));
+    return { ...buckets, ...overrides };
+  } catch (error) {
+    console.error("Error loading profile buckets:", error);
+    return buckets;
+  }
+}
+
+// Helper function to calculate distribution of a numeric field over buckets.
+// Array values are counted by length (e.g. number of organizations).
+function calculateBucketedDistribution(data, field, buckets) {
+  const counts = buckets.map(() => 0);
+  let total = 0;
+
+  data.forEach((row) => {
+    const raw = getNestedValue(row, field);
+    if (raw === undefined || raw === null || raw === "") return;
+    const value = Array.isArray(raw) ? raw.length : Number(raw);
+    if (Number.isNaN(value)) return;
+
+    const index = buckets.findIndex(
+      (bucket) =>
+        (bucket.min === undefined || value >= bucket.min) &&
+        (bucket.max === undefined || value < bucket.max),
+    );
+    if (index !== -1) {
+      counts[index]++;
+      total++;
+    }
+  });
+
+  return buckets
+    .map((bucket, index) => ({
+      label: bucket.label,
+      count: counts[index],
+      percentage: total > 0 ? Math.round((counts[index] / total) * 100) : 0,
+    }))
+    .filter((item) => item.count > 0);
+}
+
+// Resolve the registrations behind a session/experience selection
+// (sessionData -> expInstanceData -> expRegistrationData)
+async function getRegistrations(db, sessionValue, experienceValue) {
+  const instances = await db
+    .collection("expInstanceData")
+    .find({
+      sessionID: sessionValue,
+      "experience.id": experienceValue,
+      expInstanceStatus: true,
+    })
+    .project({ _id: 1 })
+    .toArray();
+
+  if (!instances.length) return [];
+
+  return db
+    .collection("expRegistrationData")
+    .find({ expInstanceID: { $in: instances.map((doc) => doc._id) } })
+    .toArray();
+}
+
 // Helper function to calculate growth data
-function calculateGrowthData(goalData, exitData, expectedField, achievedField) {
-  const categories = ["None", "Little", "Moderate", "A lot"];
-  const expectedCounts = { None: 0, Little: 0, Moderate: 0, "A lot": 0 };
-  const achievedCounts = { None: 0, Little: 0, Moderate: 0, "A lot": 0 };
+function calculateGrowthData(
+  goalData,
+  exitData,
+  expectedField,
+  achievedField,
+  categories = ["None", "Little", "Moderate", "A lot"],
+) {
+  const expectedCounts = {};
+  const achievedCounts = {};
+  categories.forEach((cat) => {
+    expectedCounts[cat] = 0;
+    achievedCounts[cat] = 0;
+  });
 
   goalData.forEach((row) => {
-    const value = row[expectedField];
+    const value = getNestedValue(row, expectedField);
     if (value && expectedCounts.hasOwnProperty(value)) {
       expectedCounts[value]++;
     }
   });
 
   exitData.forEach((row) => {
-    const value = row[achievedField];
+    const value = getNestedValue(row, achievedField);
     if (value && achievedCounts.hasOwnProperty(value)) {
       achievedCounts[value]++;
     }
@@ -316,729 +825,6421 @@ function calculateGrowthData(goalData, exitData, expectedField, achievedField) {
     category: cat,
     expected: Math.round((expectedCounts[cat] / totalExpected) * 100),
     achieved: Math.round((achievedCounts[cat] / totalAchieved) * 100),
+    expectedCount: expectedCounts[cat],
+    achievedCount: achievedCounts[cat],
   }));
 }
 
-// Generate report endpoint
-app.post("/api/generate-report", async (req, res) => {
-  try {
-    const {
-      reportType,
-      sessionId,
-      sessionLabel,
-      experienceId,
-      experienceLabel,
-      instructorName,
-    } = req.body;
+// Helper function to group free-form values into keyword categories
+// (e.g., "Master of Science" -> "Masters"). Object values are labelled by the
+// first present key in labelFields.
+function calculateCategoryDistribution(
+  data,
+  field,
+  categories,
+  labelFields = ["label"],
+  otherLabel = "Other",
+) {
+  const counts = {};
+  categories.forEach((cat) => {
+    counts[cat.label] = 0;
+  });
+  counts[otherLabel] = 0;
+  let total = 0;
 
-    const sessionValue =
-      sessionId === undefined || sessionId === null
-        ? ""
-        : String(sessionId).trim();
-    const sessionDisplay =
-      sessionLabel === undefined || sessionLabel === null
-        ? sessionValue
-        : String(sessionLabel).trim() || sessionValue;
+  data.forEach((row) => {
+    const raw = getNestedValue(row, field);
+    let label = null;
+    if (raw && typeof raw === "object") {
+      const key = labelFields.find((name) => raw[name]);
+      label = key ? raw[key] : raw.checked ? "Yes" : null;
+    } else if (raw !== undefined && raw !== null) {
+      label = raw;
+    }
+    if (label === null || String(label).trim() === "") return;
 
-    const experienceValue =
-      experienceId === undefined || experienceId === null
-        ? ""
-        : String(experienceId).trim();
-    const experienceDisplay =
-      experienceLabel === undefined || experienceLabel === null
-        ? experienceValue
-        : String(experienceLabel).trim() || experienceValue;
+    const normalized = String(label).trim().toLowerCase();
+    const match = categories.find((cat) =>
+      (cat.contains || []).some((term) => normalized.includes(term)),
+    );
+    counts[match ? match.label : otherLabel]++;
+    total++;
+  });
 
-    if (!sessionValue) {
-      return res.status(400).json({ error: "session is required" });
-    }
+  if (total === 0) return [];
 
-    if (!experienceValue) {
-      return res.status(400).json({ error: "experience is required" });
-    }
+  return Object.entries(counts)
+    .map(([key, count]) => ({
+      label: key,
+      count: count,
+      percentage: Math.round((count / total) * 100),
+    }))
+    .filter((item) => item.count > 0)
+    .sort((a, b) => b.percentage - a.percentage);
+}
 
-    // Convert logo to base64
-    const logoPath = path.join(__dirname, "assets", "logo.jfif");
-    const logoBase64 = imageToBase64(logoPath);
+// Helper function to calculate Likert answers spread over an array field
+// (e.g., one progress answer per goal in goalProgress)
+function calculateLikertDistribution(data, field, itemField, categories) {
+  const counts = {};
+  categories.forEach((cat) => {
+    counts[cat] = 0;
+  });
 
-    let templateData;
+  data.forEach((row) => {
+    const raw = getNestedValue(row, field);
+    const items = Array.isArray(raw) ? raw : [raw];
+    items.forEach((item) => {
+      const value = itemField ? getNestedValue(item, itemField) : item;
+      if (value && counts.hasOwnProperty(value)) {
+        counts[value]++;
+      }
+    });
+  });
 
-    if (reportType === "profile") {
-      // ============= PROFILE REPORT DATA =============
+  const totalResponses = Object.values(counts).reduce((a, b) => a + b, 0) || 1;
+  return categories.map((cat) => ({
+    category: cat,
+    count: counts[cat],
+    percentage: Math.round((counts[cat] / totalResponses) * 100),
+  }));
+}
 
-      const db = await getMongoDb();
-      const goalCollection = db.collection("goalSettingFormData");
-      const entryCollection = db.collection("studentEntryFormData");
+// Helper function to calculate the share of rows answering one of `values`
+// for each item, lettered A, B, C... with the item text filled in
+function calculateThresholdScores(data, items, values) {
+  return items.map((item, index) => {
+    // An item may count different answers than the rest of its chart
+    const accepted = item.values || values;
+    const matching = data.filter((row) =>
+      accepted.includes(getNestedValue(row, item.field)),
+    ).length;
+    const percentage =
+      data.length > 0 ? Math.round((matching / data.length) * 100) : 0;
+    return {
+      category: String.fromCharCode(65 + index),
+      count: matching,
+      percentage,
+      text: String(item.text || "").replace(/\{percentage\}/g, percentage),
+    };
+  });
+}
 
-      const goalPipeline = [
-        { $match: { completed: true } },
-        {
-          $lookup: {
-            from: "expRegistrationData",
-            localField: "expRegistrationID",
-            foreignField: "_id",
-            as: "reg",
-          },
-        },
-        { $unwind: "$reg" },
-        {
-          $lookup: {
-            from: "expInstanceData",
-            localField: "reg.expInstanceID",
-            foreignField: "_id",
-            as: "inst",
-          },
-        },
-        { $unwind: "$inst" },
-        {
-          $lookup: {
-            from: "sessionData",
-            localField: "inst.sessionID",
-            foreignField: "_id",
-            as: "sess",
-          },
-        },
-        { $unwind: "$sess" },
-        {
-          $match: {
-            "sess._id": sessionValue,
-            "sess.sessionName": sessionDisplay,
-            "inst.experience.id": experienceValue,
-            "inst.expInstanceStatus": true,
-          },
-        },
-        { $count: "count" },
-      ];
+// Helper function to collect non-empty free-text answers. Each gets an id
+// made of its document id and field, which moderation decisions refer to.
+function collectTextValues(data, field) {
+  return data
+    .map((row) => ({
+      id: `${row._id}:${field}`,
+      text: getNestedValue(row, field),
+    }))
+    .filter((item) => typeof item.text === "string" && item.text.trim());
+}
 
-      const registeredPipeline = [
-        { $match: { completed: true } },
-        {
-          $lookup: {
-            from: "expRegistrationData",
-            localField: "organizationID",
-            foreignField: "_id",
-            as: "reg",
-          },
-        },
-        { $unwind: "$reg" },
-        {
-          $lookup: {
-            from: "expInstanceData",
-            localField: "reg.expInstanceID",
-            foreignField: "_id",
-            as: "inst",
-          },
-        },
-        { $unwind: "$inst" },
-        {
-          $lookup: {
-            from: "sessionData",
-            localField: "inst.sessionID",
-            foreignField: "_id",
-            as: "sess",
-          },
-        },
-        { $unwind: "$sess" },
-        {
-          $match: {
-            "sess._id": sessionValue,
-            "sess.sessionName": sessionDisplay,
-            "inst.experience.id": experienceValue,
-            "inst.expInstanceStatus": true,
-          },
-        },
-        { $count: "count" },
-      ];
+// Helper function to count non-empty entries of an array field; object
+// entries are read through the first present key in itemFields
+function countNonEmptyItems(data, field, itemFields = []) {
+  let total = 0;
+  data.forEach((row) => {
+    const items = getNestedValue(row, field);
+    if (!Array.isArray(items)) return;
+    items.forEach((item) => {
+      const key =
+        item && typeof item === "object"
+          ? itemFields.find((name) => item[name])
+          : null;
+      const text = key ? item[key] : item;
+      if (text && typeof text !== "object" && String(text).trim()) total++;
+    });
+  });
+  return total;
+}
 
-      const [goalAgg, registeredAgg, filteredGoals, filteredEntry] =
-        await Promise.all([
-          goalCollection.aggregate(goalPipeline).toArray(),
-          entryCollection.aggregate(registeredPipeline).toArray(),
-          goalCollection.find({ expRegistrationID: experienceValue }).toArray(),
-          entryCollection.find({ organizationID: experienceValue }).toArray(),
-        ]);
-
-      const completedStudents =
-        (goalAgg && goalAgg.length > 0 && goalAgg[0].count) || 0;
-      const totalRegistered =
-        (registeredAgg &&
-          registeredAgg.length > 0 &&
-          registeredAgg[0].count) ||
-        0;
-
-      // Calculate completion percentage
-      const completionPercentage =
-        totalRegistered > 0
-          ? Math.round((completedStudents / totalRegistered) * 100)
-          : 0;
-
-      // Calculate Demographics
-      // Note: Some fields (Classification, Gender, Ethnicity, First Generation, International)
-      // are not present in the provided schema, so they return empty distributions
-      const demographics = {
-        classification: [], // Not in schema
-        gender: [], // Not in schema
-        ethnicity: [], // Not in schema
-        minors: (() => {
-          // Combine honorsMinors and otherMinors arrays
-          const allMinors = [];
-          filteredEntry.forEach((entry) => {
-            const honorsMinors = getNestedValue(
-              entry,
-              "studentInformation.enrolledUHInfo.honorsMinors",
-            );
-            const otherMinors = getNestedValue(
-              entry,
-              "studentInformation.enrolledUHInfo.otherMinors",
-            );
-            if (Array.isArray(honorsMinors)) {
-              allMinors.push(...honorsMinors);
-            }
-            if (Array.isArray(otherMinors)) {
-              allMinors.push(...otherMinors);
-            }
-            if (!Array.isArray(honorsMinors) && honorsMinors) {
-              allMinors.push(honorsMinors);
-            }
-            if (!Array.isArray(otherMinors) && otherMinors) {
-              allMinors.push(otherMinors);
-            }
-          });
-          const counts = {};
-          let total = 0;
-          allMinors.forEach((minor) => {
-            const value =
-              minor === undefined || minor === null
-                ? ""
-                : String(minor).trim();
-            if (value !== "") {
-              counts[value] = (counts[value] || 0) + 1;
-              total++;
-            }
-          });
-          return Object.entries(counts)
-            .map(([key, count]) => ({
-              label: key,
-              count: count,
-              percentage: total > 0 ? Math.round((count / total) * 100) : 0,
-            }))
-            .sort((a, b) => b.percentage - a.percentage);
-        })(),
-        firstGeneration: [], // Not in schema
-        international: [], // Not in schema
-      };
+// ============= REPORT DEFINITIONS =============
+// Each report type is described by a file in ./report_definitions that lists
+// its data sources, summary metrics and chart sections. See growth.json and
+// profile.json for the format. The files are parsed once at startup, where
+// one that doesn't parse stops the server, and again when one of them
+// changes; a bad edit while running is logged and the last good
+// definitions stay in use.
 
-      // Calculate General Profile
-      const generalProfile = {
-        graduationYear: calculateDistribution(
-          filteredEntry,
-          "studentInformation.enrolledUHInfo.expectedGraduationYear",
-        ),
-        majors: calculateDistributionFromArray(
-          filteredEntry,
-          "studentInformation.enrolledUHInfo.majors",
+const REPORT_DEFINITIONS_DIR =
+  process.env.REPORT_DEFINITIONS_DIR ||
+  path.join(__dirname, "report_definitions");
+
+let yaml;
+try {
+  // eslint-disable-next-line global-require
+  yaml = require("js-yaml");
+} catch {
+  // js-yaml is optional; only .json definitions are read without it
+}
+
+function listDefinitionFiles() {
+  if (!fs.existsSync(REPORT_DEFINITIONS_DIR)) return [];
+  return fs.readdirSync(REPORT_DEFINITIONS_DIR).filter((fileName) => {
+    const ext = path.extname(fileName).toLowerCase();
+    const isYaml = ext === ".yaml" || ext === ".yml";
+    return ext === ".json" || (isYaml && yaml);
+  });
+}
+
+// Throws naming the file when a definition doesn't parse
+function readReportDefinitions(fileNames) {
+  const definitions = {};
+  fileNames.forEach((fileName) => {
+    const ext = path.extname(fileName).toLowerCase();
+    try {
+      const source = fs.readFileSync(
+        path.join(REPORT_DEFINITIONS_DIR, fileName),
+        "utf8",
+      );
+      const definition =
+        ext === ".json" ? JSON.parse(source) : yaml.load(source);
+      if (!definition || typeof definition !== "object") {
+        throw new Error("expected an object");
+      }
+      const id = definition.id || path.basename(fileName, ext);
+      definitions[id] = { ...definition, id };
+    } catch (error) {
+      throw new Error(
+        `Invalid report definition ${fileName}: ${error.message}`,
+      );
+    }
+  });
+  return definitions;
+}
+
+// The file names with their modification times; a different stamp means
+// the definitions have to be read again
+function definitionsStamp(fileNames) {
+  return fileNames
+    .map((fileName) => {
+      const { mtimeMs } = fs.statSync(
+        path.join(REPORT_DEFINITIONS_DIR, fileName),
+      );
+      return `${fileName}:${mtimeMs}`;
+    })
+    .join("|");
+}
+
+let reportDefinitions = null;
+
+function loadReportDefinitions() {
+  const fileNames = listDefinitionFiles();
+  const stamp = definitionsStamp(fileNames);
+  if (reportDefinitions && reportDefinitions.stamp === stamp) {
+    return reportDefinitions.definitions;
+  }
+
+  let definitions;
+  try {
+    definitions = readReportDefinitions(fileNames);
+  } catch (error) {
+    if (!reportDefinitions) throw error;
+    console.error(`${error.message}; keeping the loaded definitions`);
+    // Don't parse the broken file again until it changes
+    reportDefinitions = { ...reportDefinitions, stamp };
+    return reportDefinitions.definitions;
+  }
+  reportDefinitions = { stamp, definitions };
+  return definitions;
+}
+
+// Fail at startup rather than leave a report type out
+loadReportDefinitions();
+
+function getReportDefinition(reportType) {
+  const definitions = loadReportDefinitions();
+  return Object.prototype.hasOwnProperty.call(definitions, reportType)
+    ? definitions[reportType]
+    : null;
+}
+
+// Load every source a definition needs for one session/experience. Sources
+// are linked to the selection through the registrations' ids; the
+// registrations themselves are always available as "registrations", and
+// the stored comment decisions as "commentModeration" for definitions with
+// free-text lists. `filters` (see FILTERS AND CROSS-TABS) narrow the result
+// to matching students.
+async function loadReportSources(
+  db,
+  definition,
+  sessionValue,
+  experienceValue,
+  filters = [],
+) {
+  const registrations = await getRegistrations(
+    db,
+    sessionValue,
+    experienceValue,
+  );
+  const registrationIds = registrations.map((doc) => doc._id);
+
+  const sources = { registrations };
+  const entries = Object.entries(definition.sources || {});
+  const results = await Promise.all(
+    entries.map(([, source]) =>
+      db
+        .collection(source.collection)
+        .find({
+          ...(source.match || {}),
+          [source.link || "expRegistrationID"]: { $in: registrationIds },
+        })
+        .toArray(),
+    ),
+  );
+  entries.forEach(([name], index) => {
+    sources[name] = results[index];
+  });
+
+  sources.commentModeration = hasTextLists(definition)
+    ? await db
+        .collection("commentModerationData")
+        .find({ sessionId: sessionValue, experienceId: experienceValue })
+        .toArray()
+    : [];
+
+  return applyReportFilters(definition, sources, filters);
+}
+
+const CHART_BUILDERS = {
+  distribution: (chart, rows) =>
+    chart.field ? calculateDistribution(rows, chart.field) : [],
+  arrayDistribution: (chart, rows) =>
+    chart.field || chart.fields
+      ? calculateDistributionFromArray(rows, chart.fields || chart.field)
+      : [],
+  boolean: (chart, rows) =>
+    chart.field
+      ? calculateBooleanDistribution(
+          rows,
+          chart.field,
+          chart.trueLabel || "Yes",
+          chart.falseLabel || "No",
+        )
+      : [],
+  buckets: (chart, rows, context) => {
+    const buckets =
+      typeof chart.buckets === "string"
+        ? context.buckets[chart.buckets]
+        : chart.buckets;
+    return chart.field && Array.isArray(buckets)
+      ? calculateBucketedDistribution(rows, chart.field, buckets)
+      : [];
+  },
+  funnel: (chart, rows, context) => context.participation.funnel,
+  crossTab: (chart, rows, context) =>
+    chart.row && chart.column
+      ? calculateCrossTab(rows, chart.row, chart.column, context.buckets)
+      : { columns: [], rows: [] },
+  categories: (chart, rows) =>
+    calculateCategoryDistribution(
+      rows,
+      chart.field,
+      chart.categories || [],
+      chart.labelFields,
+      chart.otherLabel,
+    ),
+  expectedVsAchieved: (chart, rows, context) =>
+    calculateGrowthData(
+      context.sources[chart.expected.source] || [],
+      context.sources[chart.achieved.source] || [],
+      chart.expected.field,
+      chart.achieved.field,
+      chart.categories,
+    ),
+  likert: (chart, rows) =>
+    calculateLikertDistribution(
+      rows,
+      chart.field,
+      chart.itemField,
+      chart.categories || [],
+    ),
+  threshold: (chart, rows) =>
+    calculateThresholdScores(rows, chart.items || [], chart.values || []),
+  textList: (chart, rows, context) =>
+    moderateComments(
+      collectTextValues(rows, chart.field),
+      context.decisions,
+      context.redaction,
+    ),
+  themes: (chart, rows, context) =>
+    analyzeThemes(
+      (chart.fields || [chart.field]).flatMap((field) =>
+        moderateComments(
+          collectTextValues(rows, field),
+          context.decisions,
+          context.redaction,
         ),
-        minors: (() => {
-          // Combine honorsMinors and otherMinors arrays
-          const allMinors = [];
-          filteredEntry.forEach((entry) => {
-            const honorsMinors = getNestedValue(
-              entry,
-              "studentInformation.enrolledUHInfo.honorsMinors",
-            );
-            const otherMinors = getNestedValue(
-              entry,
-              "studentInformation.enrolledUHInfo.otherMinors",
-            );
-            if (Array.isArray(honorsMinors)) {
-              allMinors.push(...honorsMinors);
-            }
-            if (Array.isArray(otherMinors)) {
-              allMinors.push(...otherMinors);
-            }
-            if (!Array.isArray(honorsMinors) && honorsMinors) {
-              allMinors.push(honorsMinors);
-            }
-            if (!Array.isArray(otherMinors) && otherMinors) {
-              allMinors.push(otherMinors);
-            }
+      ),
+      chart,
+    ),
+};
+
+const METRIC_BUILDERS = {
+  count: (metric, sources) => (sources[metric.source] || []).length,
+  nonEmptyCount: (metric, sources) =>
+    countNonEmptyItems(
+      sources[metric.source] || [],
+      metric.field,
+      metric.itemFields,
+    ),
+  participation: (metric, sources, values) =>
+    values.participation.counts[metric.stage] || 0,
+  percentage: (metric, sources, values) => {
+    const denominator = values[metric.denominator] || 0;
+    return denominator > 0
+      ? Math.round(((values[metric.numerator] || 0) / denominator) * 100)
+      : 0;
+  },
+};
+
+// ============= EXPERIENCE CONFIGURATION =============
+// Threshold charts marked "configurable" in a definition (the growth
+// report's Net Promoter and Activities lists) differ per experience: which
+// exit-form fields are asked, how they are worded and which answers count.
+// Admins store that per experience and report type in
+// experienceReportConfig as { experienceId, reportType, charts: { [chartKey]:
+// { values, items: [{ field, text, values }] } } }; charts without a stored
+// config fall back to the definition.
+
+function configurableCharts(definition) {
+  const charts = [];
+  (definition.sections || []).forEach((section) => {
+    (section.charts || []).forEach((chart) => {
+      if (chart.configurable) charts.push(chart);
+    });
+  });
+  return charts;
+}
+
+async function findExperienceConfig(db, experienceId, reportType) {
+  return db.collection("experienceReportConfig").findOne({
+    experienceId: String(experienceId),
+    reportType: String(reportType),
+  });
+}
+
+// The definition with an experience's stored chart settings applied
+async function applyExperienceConfig(db, definition, experienceId) {
+  if (!configurableCharts(definition).length) return definition;
+  const config = await findExperienceConfig(db, experienceId, definition.id);
+  if (!config || !config.charts) return definition;
+
+  return {
+    ...definition,
+    sections: (definition.sections || []).map((section) => ({
+      ...section,
+      charts: (section.charts || []).map((chart) => {
+        const stored = chart.configurable && config.charts[chart.key];
+        return stored ? { ...chart, ...stored } : chart;
+      }),
+    })),
+  };
+}
+
+// Answers that count for a threshold item: strings or booleans
+function parseThresholdValues(values, path) {
+  if (!Array.isArray(values) || !values.length) {
+    return { error: `${path} must be a non-empty array` };
+  }
+  const invalid = values.some(
+    (value) =>
+      typeof value !== "boolean" &&
+      (typeof value !== "string" || !value.trim()),
+  );
+  if (invalid) {
+    return { error: `${path} may only contain text or true/false` };
+  }
+  return {
+    values: values.map((value) =>
+      typeof value === "string" ? value.trim() : value,
+    ),
+  };
+}
+
+// Validate the charts of a config body against the definition's
+// configurable charts; returns { error } or { charts }
+function parseExperienceConfigBody(definition, body) {
+  const requested = (body || {}).charts;
+  if (!requested || typeof requested !== "object") {
+    return { error: "charts is required" };
+  }
+
+  const configurable = configurableCharts(definition).map((chart) => chart.key);
+  const charts = {};
+  for (const [key, chart] of Object.entries(requested)) {
+    if (!configurable.includes(key)) {
+      return { error: `Chart "${key}" is not configurable` };
+    }
+    const { error: valuesError, values } = parseThresholdValues(
+      (chart || {}).values,
+      `${key}.values`,
+    );
+    if (valuesError) return { error: valuesError };
+
+    const items = (chart || {}).items;
+    if (!Array.isArray(items) || !items.length) {
+      return { error: `${key}.items must be a non-empty array` };
+    }
+    const parsedItems = [];
+    for (const [index, item] of items.entries()) {
+      const field = item && typeof item.field === "string" ? item.field : "";
+      const text = item && typeof item.text === "string" ? item.text : "";
+      if (!field.trim() || !text.trim()) {
+        return { error: `${key}.items[${index}] needs a field and a text` };
+      }
+      const parsed = { field: field.trim(), text: text.trim() };
+      if (item.values !== undefined) {
+        const itemValues = parseThresholdValues(
+          item.values,
+          `${key}.items[${index}].values`,
+        );
+        if (itemValues.error) return { error: itemValues.error };
+        parsed.values = itemValues.values;
+      }
+      parsedItems.push(parsed);
+    }
+    charts[key] = { values, items: parsedItems };
+  }
+  return { charts };
+}
+
+// Configurable charts of a report type with their defaults and the
+// experience's stored settings (null when it uses the defaults)
+app.get(
+  "/api/experiences/:experienceId/report-config/:reportType",
+  requireStaff,
+  async (req, res) => {
+    const { experienceId, reportType } = req.params;
+    const definition = getReportDefinition(reportType);
+    if (!definition) {
+      return res.status(404).json({ error: "Unknown report type" });
+    }
+    if (!canAccessExperience(req.user, experienceId)) {
+      return res
+        .status(403)
+        .json({ error: "You do not have access to this experience" });
+    }
+
+    try {
+      const db = await getMongoDb();
+      const config = await findExperienceConfig(db, experienceId, reportType);
+      const stored = (config && config.charts) || {};
+      return res.json({
+        experienceId,
+        reportType,
+        updatedAt: config ? config.updatedAt : null,
+        updatedBy: config ? config.updatedBy : null,
+        charts: configurableCharts(definition).map((chart) => ({
+          key: chart.key,
+          label: chart.label || chart.key,
+          defaults: { values: chart.values || [], items: chart.items || [] },
+          config: stored[chart.key] || null,
+        })),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to load report configuration",
+        details: error.message,
+      });
+    }
+  },
+);
+
+app.put(
+  "/api/experiences/:experienceId/report-config/:reportType",
+  requireRole("admin"),
+  async (req, res) => {
+    const { experienceId, reportType } = req.params;
+    const definition = getReportDefinition(reportType);
+    if (!definition) {
+      return res.status(404).json({ error: "Unknown report type" });
+    }
+    const parsed = parseExperienceConfigBody(definition, req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const { charts } = parsed;
+
+    try {
+      const db = await getMongoDb();
+      const updatedAt = new Date();
+      await db.collection("experienceReportConfig").updateOne(
+        { experienceId, reportType },
+        { $set: { charts, updatedAt, updatedBy: req.user.email } },
+        { upsert: true },
+      );
+      return res.json({ experienceId, reportType, charts, updatedAt });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to save report configuration",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// Back to the definition's defaults
+app.delete(
+  "/api/experiences/:experienceId/report-config/:reportType",
+  requireRole("admin"),
+  async (req, res) => {
+    const { experienceId, reportType } = req.params;
+    try {
+      const db = await getMongoDb();
+      const result = await db
+        .collection("experienceReportConfig")
+        .deleteOne({ experienceId, reportType });
+      if (!result.deletedCount) {
+        return res.status(404).json({ error: "No configuration stored" });
+      }
+      return res.json({ deleted: { experienceId, reportType } });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to reset report configuration",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// ============= PARTICIPATION =============
+// One model for how far each student got, shared by every report type. Each
+// registration in the selection is one student; a stage of the definition's
+// "participation" block is reached when a document of the stage's source
+// links to the registration (stages without a source are reached by every
+// registration). Counts are distinct students, so duplicate submissions
+// don't inflate them and no stage can exceed the number registered.
+
+function buildParticipation(definition, sources) {
+  const stages = (definition.participation || {}).stages || [];
+  const reached = stages.map((stage) => {
+    if (!stage.source) return null;
+    const source = (definition.sources || {})[stage.source];
+    if (!source) {
+      throw new Error(
+        `Participation stage "${stage.key}" uses unknown source ` +
+          `"${stage.source}"`,
+      );
+    }
+    const link = source.link || "expRegistrationID";
+    return new Set(
+      (sources[stage.source] || []).map((row) =>
+        String(getNestedValue(row, link)),
+      ),
+    );
+  });
+
+  const students = (sources.registrations || []).map((doc) => {
+    const student = {
+      registrationId: String(doc._id),
+      studentId:
+        doc.studentID === undefined || doc.studentID === null
+          ? null
+          : String(doc.studentID),
+    };
+    stages.forEach((stage, index) => {
+      student[stage.key] = reached[index]
+        ? reached[index].has(student.registrationId)
+        : true;
+    });
+    return student;
+  });
+
+  const total = students.length;
+  const counts = {};
+  let previous = total;
+  const funnel = stages.map((stage) => {
+    const count = students.filter((student) => student[stage.key]).length;
+    counts[stage.key] = count;
+    const step = {
+      key: stage.key,
+      label: stage.label || stage.key,
+      count,
+      percentage: total > 0 ? Math.round((count / total) * 100) : 0,
+      conversion: previous > 0 ? Math.round((count / previous) * 100) : 0,
+    };
+    previous = count;
+    return step;
+  });
+
+  return { total, counts, funnel, students };
+}
+
+// ============= FILTERS AND CROSS-TABS =============
+// A definition's "filters" block lists the fields a report can be narrowed
+// by, e.g. { "key": "housing", "source": "entry", "field": "...", "trueLabel":
+// "On Campus" }. Requests pass the labels to keep per filter key
+// ({ "housing": ["On Campus"] }); a student stays in the report when each
+// filter matches at least one of their values. Filtering happens on the
+// loaded sources, so every metric and chart sees the same students.
+// crossTab charts break one such field ("row") down by another ("column").
+
+// The labels a document has for a field: every element of array values,
+// bucket labels for numeric values, trueLabel/falseLabel for booleans and
+// the label (or id) of object values
+function fieldLabels(doc, dimension, buckets = {}) {
+  const bucketList =
+    typeof dimension.buckets === "string"
+      ? buckets[dimension.buckets]
+      : dimension.buckets;
+  const fields = dimension.fields || [dimension.field];
+  const labels = new Set();
+
+  const addLabel = (value) => {
+    if (value === undefined || value === null || value === "") return;
+    if (Array.isArray(bucketList)) {
+      const number = Array.isArray(value) ? value.length : Number(value);
+      const bucket = bucketList.find(
+        (item) =>
+          (item.min === undefined || number >= item.min) &&
+          (item.max === undefined || number < item.max),
+      );
+      if (bucket) labels.add(bucket.label);
+    } else if (Array.isArray(value)) {
+      value.forEach(addLabel);
+    } else if (typeof value === "boolean") {
+      labels.add(
+        value ? dimension.trueLabel || "Yes" : dimension.falseLabel || "No",
+      );
+    } else if (typeof value === "object") {
+      const label = value.label || value.id;
+      if (label) labels.add(String(label).trim());
+    } else if (String(value).trim()) {
+      labels.add(String(value).trim());
+    }
+  };
+
+  fields.forEach((field) => addLabel(getNestedValue(doc, field)));
+  return [...labels];
+}
+
+// Validate the filters of a report request against the definition. Returns
+// { error } or { filters: [{ ...filterDefinition, values }] }.
+function parseReportFilters(definition, requested) {
+  if (requested === undefined || requested === null) return { filters: [] };
+  if (typeof requested !== "object" || Array.isArray(requested)) {
+    return { error: "filters must be an object of filter values" };
+  }
+
+  const available = definition.filters || [];
+  const filters = [];
+  for (const [key, raw] of Object.entries(requested)) {
+    const filter = available.find((item) => item.key === key);
+    if (!filter) {
+      return { error: `Unknown filter "${key}" for ${definition.id}` };
+    }
+    const values = (Array.isArray(raw) ? raw : [raw])
+      .filter((value) => value !== undefined && value !== null)
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+    if (values.length) filters.push({ ...filter, values });
+  }
+  return { filters };
+}
+
+// "Housing: On Campus; Major(s): Biology, Chemistry" for the cover page
+function describeFilters(filters) {
+  return filters
+    .map(
+      (filter) => `${filter.label || filter.key}: ${filter.values.join(", ")}`,
+    )
+    .join("; ");
+}
+
+// Narrow loaded sources to the students matching every filter. Matching
+// rows are mapped back to registrations through their source's link field,
+// then every source is cut down to those registrations.
+function applyReportFilters(definition, sources, filters) {
+  if (!filters.length) return sources;
+
+  const buckets = resolveBuckets(definition);
+  let allowed = null;
+  filters.forEach((filter) => {
+    const source = (definition.sources || {})[filter.source];
+    if (!source) {
+      throw new Error(
+        `Filter "${filter.key}" uses unknown source "${filter.source}"`,
+      );
+    }
+    const link = source.link || "expRegistrationID";
+    const matching = new Set();
+    (sources[filter.source] || []).forEach((row) => {
+      const labels = fieldLabels(row, filter, buckets);
+      if (labels.some((label) => filter.values.includes(label))) {
+        matching.add(String(getNestedValue(row, link)));
+      }
+    });
+    allowed = allowed
+      ? new Set([...allowed].filter((id) => matching.has(id)))
+      : matching;
+  });
+
+  const filtered = { ...sources };
+  filtered.registrations = (sources.registrations || []).filter((doc) =>
+    allowed.has(String(doc._id)),
+  );
+  Object.entries(definition.sources || {}).forEach(([name, source]) => {
+    const link = source.link || "expRegistrationID";
+    filtered[name] = (sources[name] || []).filter((row) =>
+      allowed.has(String(getNestedValue(row, link))),
+    );
+  });
+  return filtered;
+}
+
+// Count documents per row label and column label. Percentages are shares
+// of the row; rows are sorted by size, columns keep bucket or true/false
+// order or are sorted by size too.
+function calculateCrossTab(data, rowDimension, columnDimension, buckets) {
+  const rowTotals = new Map();
+  const columnTotals = new Map();
+  const counts = new Map();
+
+  data.forEach((doc) => {
+    const rowLabels = fieldLabels(doc, rowDimension, buckets);
+    const columnLabels = fieldLabels(doc, columnDimension, buckets);
+    if (!rowLabels.length || !columnLabels.length) return;
+
+    rowLabels.forEach((rowLabel) => {
+      rowTotals.set(rowLabel, (rowTotals.get(rowLabel) || 0) + 1);
+      columnLabels.forEach((columnLabel) => {
+        const key = `${rowLabel}\u0000${columnLabel}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+    columnLabels.forEach((columnLabel) => {
+      columnTotals.set(columnLabel, (columnTotals.get(columnLabel) || 0) + 1);
+    });
+  });
+
+  const bucketList =
+    typeof columnDimension.buckets === "string"
+      ? buckets[columnDimension.buckets]
+      : columnDimension.buckets;
+  const booleanLabels = [
+    columnDimension.trueLabel || "Yes",
+    columnDimension.falseLabel || "No",
+  ];
+  let columns = [...columnTotals.keys()].sort(
+    (a, b) => columnTotals.get(b) - columnTotals.get(a),
+  );
+  if (Array.isArray(bucketList)) {
+    columns = bucketList
+      .map((bucket) => bucket.label)
+      .filter((label) => columnTotals.has(label));
+  } else if (columns.every((label) => booleanLabels.includes(label))) {
+    columns = booleanLabels.filter((label) => columnTotals.has(label));
+  }
+
+  const rows = [...rowTotals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, total]) => ({
+      label,
+      total,
+      cells: columns.map((column) => {
+        const count = counts.get(`${label}\u0000${column}`) || 0;
+        return {
+          label: column,
+          count,
+          percentage: total > 0 ? Math.round((count / total) * 100) : 0,
+        };
+      }),
+    }));
+
+  return { columns, rows };
+}
+
+// Small-cell protection for a cross-tab: rows below minCellSize are merged
+// or dropped like the cells of a one-way chart, then small cells within a
+// row are blanked (count and percentage null), with complementary cells so
+// they can't be recovered from the row total.
+function suppressCrossTabCells(table, privacy) {
+  const { minCellSize, otherLabel } = privacy;
+  if (minCellSize < 2) return { items: table, suppressed: false };
+
+  const { items: rowItems, suppressed: rowsChanged } = suppressSmallCells(
+    table.rows.map((row) => ({ label: row.label, count: row.total, row })),
+    privacy,
+  );
+  const rows = rowItems.map((item) => {
+    if (item.row) return item.row;
+    // The merged "Other" row sums the cells of the rows it replaced
+    const merged = table.rows.filter(
+      (row) => !rowItems.some((kept) => kept.row === row),
+    );
+    const total = merged.reduce((sum, row) => sum + row.total, 0);
+    return {
+      label: otherLabel,
+      total,
+      cells: table.columns.map((column, index) => {
+        const count = merged.reduce(
+          (sum, row) => sum + row.cells[index].count,
+          0,
+        );
+        return {
+          label: column,
+          count,
+          percentage: total > 0 ? Math.round((count / total) * 100) : 0,
+        };
+      }),
+    };
+  });
+
+  let cellsChanged = false;
+  const protectedRows = rows.map((row) => {
+    const { items: visible, suppressed } = suppressSmallCells(row.cells, {
+      ...privacy,
+      strategy: "suppress",
+    });
+    if (!suppressed) return row;
+    cellsChanged = true;
+    return {
+      ...row,
+      cells: row.cells.map((cell) =>
+        visible.includes(cell)
+          ? cell
+          : {
+              label: cell.label,
+              count: null,
+              percentage: null,
+              suppressed: true,
+            },
+      ),
+    };
+  });
+
+  return {
+    items: { columns: table.columns, rows: protectedRows },
+    suppressed: rowsChanged || cellsChanged,
+  };
+}
+
+// ============= PAIRED GROWTH STATISTICS =============
+// The expected/achieved bars compare two cohorts' distributions. For
+// expectedVsAchieved charts with a statsKey, each student's goal-setting
+// answer is also paired with their own exit answer (by chart.pairBy, the
+// registration id by default) and the shift is tested with a Wilcoxon
+// signed-rank test. Categories are ranked in order, so "None" -> "A lot" is a
+// shift of 3. Zero differences are dropped before ranking; ties get average
+// ranks. Up to EXACT_WILCOXON_MAX_N non-zero pairs the p-value comes from the
+// exact distribution, above that from the normal approximation with tie and
+// continuity correction. The effect size is the matched-pairs rank-biserial
+// correlation (W+ - W-) / (W+ + W-).
+
+const EXACT_WILCOXON_MAX_N = 25;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Pair each student's expected and achieved category ranks. A student is
+// counted once, with their first answer in each form.
+function pairGrowthResponses(
+  goalData,
+  exitData,
+  expectedField,
+  achievedField,
+  categories,
+  pairBy,
+) {
+  const expectedByStudent = new Map();
+  goalData.forEach((row) => {
+    const id = getNestedValue(row, pairBy);
+    const rank = categories.indexOf(getNestedValue(row, expectedField));
+    if (id === undefined || id === null || rank === -1) return;
+    if (!expectedByStudent.has(String(id))) {
+      expectedByStudent.set(String(id), rank);
+    }
+  });
+
+  const pairs = [];
+  exitData.forEach((row) => {
+    const id = getNestedValue(row, pairBy);
+    const rank = categories.indexOf(getNestedValue(row, achievedField));
+    if (id === undefined || id === null || rank === -1) return;
+    if (!expectedByStudent.has(String(id))) return;
+    pairs.push({ expected: expectedByStudent.get(String(id)), achieved: rank });
+    expectedByStudent.delete(String(id));
+  });
+  return pairs;
+}
+
+// Average ranks of |value|, plus the sizes of the tie groups
+function rankAbsoluteValues(values) {
+  const order = values
+    .map((value, index) => ({ abs: Math.abs(value), index }))
+    .sort((a, b) => a.abs - b.abs);
+  const ranks = new Array(values.length);
+  const tieSizes = [];
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].abs === order[start].abs) {
+      end++;
+    }
+    const rank = (start + end + 2) / 2;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = rank;
+    tieSizes.push(end - start + 1);
+    start = end + 1;
+  }
+  return { ranks, tieSizes };
+}
+
+// Exact two-sided p-value for W+ given the (possibly tied) ranks. Ranks are
+// doubled so tied half-ranks stay integers.
+function exactWilcoxonPValue(ranks, wPlus) {
+  const doubled = ranks.map((rank) => Math.round(rank * 2));
+  const total = doubled.reduce((sum, rank) => sum + rank, 0);
+  let counts = new Array(total + 1).fill(0);
+  counts[0] = 1;
+  doubled.forEach((rank) => {
+    const next = counts.slice();
+    for (let sum = rank; sum <= total; sum++) next[sum] += counts[sum - rank];
+    counts = next;
+  });
+
+  const observed = Math.round(wPlus * 2);
+  const outcomes = Math.pow(2, ranks.length);
+  let lower = 0;
+  let upper = 0;
+  counts.forEach((count, sum) => {
+    if (sum <= observed) lower += count;
+    if (sum >= observed) upper += count;
+  });
+  return Math.min(1, (2 * Math.min(lower, upper)) / outcomes);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normalWilcoxonPValue(n, wPlus, tieSizes) {
+  const mean = (n * (n + 1)) / 4;
+  const tieCorrection = tieSizes.reduce((sum, t) => sum + (t ** 3 - t), 0);
+  const variance = (n * (n + 1) * (2 * n + 1)) / 24 - tieCorrection / 48;
+  if (variance <= 0) return 1;
+  const diff = wPlus - mean;
+  const corrected = Math.max(0, Math.abs(diff) - 0.5);
+  return Math.min(1, 2 * (1 - normalCdf(corrected / Math.sqrt(variance))));
+}
+
+function describeEffectSize(r) {
+  const size = Math.abs(r);
+  if (size < 0.1) return "negligible";
+  if (size < 0.3) return "small";
+  if (size < 0.5) return "medium";
+  return "large";
+}
+
+function formatPValue(p) {
+  if (p === null) return "p = n/a";
+  return p < 0.001 ? "p < 0.001" : `p = ${p.toFixed(3)}`;
+}
+
+function roundTo(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Matched-pair summary for one competency. Means are in category steps.
+function calculatePairedGrowthStats(
+  goalData,
+  exitData,
+  expectedField,
+  achievedField,
+  categories = ["None", "Little", "Moderate", "A lot"],
+  pairBy = "expRegistrationID",
+) {
+  const pairs = pairGrowthResponses(
+    goalData,
+    exitData,
+    expectedField,
+    achievedField,
+    categories,
+    pairBy,
+  );
+  const n = pairs.length;
+  const differences = pairs.map((pair) => pair.achieved - pair.expected);
+  const nonZero = differences.filter((diff) => diff !== 0);
+  const { ranks, tieSizes } = rankAbsoluteValues(nonZero);
+
+  let wPlus = 0;
+  let wMinus = 0;
+  nonZero.forEach((diff, index) => {
+    if (diff > 0) wPlus += ranks[index];
+    else wMinus += ranks[index];
+  });
+
+  let pValue = null;
+  let method = null;
+  if (nonZero.length > 0) {
+    method = nonZero.length <= EXACT_WILCOXON_MAX_N ? "exact" : "normal";
+    pValue =
+      method === "exact"
+        ? exactWilcoxonPValue(ranks, wPlus)
+        : normalWilcoxonPValue(nonZero.length, wPlus, tieSizes);
+  } else if (n > 0) {
+    pValue = 1;
+  }
+
+  const mean = (values) =>
+    values.length
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : 0;
+  const meanShift = roundTo(mean(differences), 2);
+  const shiftLabel = `${meanShift > 0 ? "+" : ""}${meanShift.toFixed(2)}`;
+  const effectSize = nonZero.length
+    ? roundTo((wPlus - wMinus) / (wPlus + wMinus), 2)
+    : 0;
+
+  return {
+    n,
+    meanExpected: roundTo(mean(pairs.map((pair) => pair.expected)), 2),
+    meanAchieved: roundTo(mean(pairs.map((pair) => pair.achieved)), 2),
+    meanShift,
+    increased: differences.filter((diff) => diff > 0).length,
+    decreased: differences.filter((diff) => diff < 0).length,
+    unchanged: n - nonZero.length,
+    wPlus,
+    wMinus,
+    pValue: pValue === null ? null : roundTo(pValue, 4),
+    method,
+    effectSize,
+    effectMagnitude: describeEffectSize(effectSize),
+    significant: pValue !== null && pValue < SIGNIFICANCE_LEVEL,
+    summary:
+      n > 0
+        ? `n = ${n}, shift ${shiftLabel}, ${formatPValue(pValue)}, ` +
+          `r = ${effectSize.toFixed(2)}`
+        : "No matched pairs",
+  };
+}
+
+// ============= DATA QUALITY =============
+// Charts skip values they can't use, so gaps in the data otherwise only show
+// up as short or empty charts. checkDataQuality looks at the sources loaded
+// for a report and lists what it found: charts without a field mapping,
+// missing field values, answers outside a chart's categories (e.g. a
+// growth answer that isn't None/Little/Moderate/A lot), registrations
+// without any submitted form and students with more than one submission of
+// the same form. The warnings are served by /api/data-quality, shown in the
+// UI before generating and printed as an appendix of the report.
+
+const DEFAULT_LIKERT_CATEGORIES = ["None", "Little", "Moderate", "A lot"];
+
+// Missing values are "info" until they reach this share of a source's rows
+const MISSING_WARNING_SHARE = 0.5;
+const MAX_QUALITY_EXAMPLES = 5;
+// Chart types computed from something other than source fields
+const FIELDLESS_CHART_TYPES = ["funnel"];
+
+// The { source, field, categories, itemField } a chart reads
+function chartFieldRefs(chart) {
+  const refs = [];
+  const add = (source, field, extra = {}) => {
+    if (source && field) refs.push({ source, field, ...extra });
+  };
+
+  if (chart.type === "expectedVsAchieved") {
+    const categories = chart.categories || DEFAULT_LIKERT_CATEGORIES;
+    [chart.expected, chart.achieved].forEach((side) => {
+      if (side) add(side.source, side.field, { categories });
+    });
+  } else if (chart.type === "likert") {
+    add(chart.source, chart.field, {
+      categories: chart.categories,
+      itemField: chart.itemField,
+    });
+  } else if (chart.type === "crossTab") {
+    [chart.row, chart.column].filter(Boolean).forEach((dimension) => {
+      (dimension.fields || [dimension.field]).forEach((field) =>
+        add(chart.source, field),
+      );
+    });
+  } else if (chart.type === "threshold") {
+    (chart.items || []).forEach((item) => add(chart.source, item.field));
+  } else {
+    (chart.fields || [chart.field]).forEach((field) =>
+      add(chart.source, field),
+    );
+  }
+  return refs;
+}
+
+function isMissingValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+// Data quality warnings for one report's loaded sources. Each warning is
+// { type, severity, source, field, label, count, total, message, examples }.
+function checkDataQuality(definition, sources) {
+  const warnings = [];
+  const sourceDefinitions = definition.sources || {};
+  const collectionOf = (name) =>
+    (sourceDefinitions[name] && sourceDefinitions[name].collection) || name;
+
+  const seenFields = new Set();
+  (definition.sections || []).forEach((section) => {
+    (section.charts || []).forEach((chart) => {
+      const label = chart.label || chart.key;
+      const refs = chartFieldRefs(chart);
+      if (!refs.length && !FIELDLESS_CHART_TYPES.includes(chart.type)) {
+        // Charts repeated in several sections are reported once
+        if (seenFields.has(`unmapped:${label}`)) return;
+        seenFields.add(`unmapped:${label}`);
+        warnings.push({
+          type: "unmappedChart",
+          severity: "warning",
+          source: chart.source || null,
+          field: null,
+          label,
+          count: 0,
+          total: (sources[chart.source] || []).length,
+          message:
+            `${label} has no field in the report definition` +
+            (chart.note ? ` (${chart.note})` : "") +
+            ", so it is always empty.",
+          examples: [],
+        });
+        return;
+      }
+
+      refs.forEach((ref) => {
+        const rows = sources[ref.source] || [];
+        const fieldKey = `${ref.source}:${ref.field}:${ref.itemField || ""}`;
+        if (seenFields.has(fieldKey)) return;
+        seenFields.add(fieldKey);
+        if (!rows.length) return;
+
+        const missing = rows.filter((row) =>
+          isMissingValue(getNestedValue(row, ref.field)),
+        ).length;
+        if (missing > 0) {
+          warnings.push({
+            type: "missingValue",
+            severity:
+              missing / rows.length >= MISSING_WARNING_SHARE
+                ? "warning"
+                : "info",
+            source: ref.source,
+            field: ref.field,
+            label,
+            count: missing,
+            total: rows.length,
+            message:
+              `${label}: ${missing} of ${rows.length} ` +
+              `${collectionOf(ref.source)} submissions have no ` +
+              `${ref.field}.`,
+            examples: [],
           });
-          const counts = {};
-          let total = 0;
-          allMinors.forEach((minor) => {
-            const value =
-              minor === undefined || minor === null
-                ? ""
-                : String(minor).trim();
-            if (value !== "") {
-              counts[value] = (counts[value] || 0) + 1;
-              total++;
+        }
+
+        if (!ref.categories) return;
+        const unexpected = new Map();
+        rows.forEach((row) => {
+          const raw = getNestedValue(row, ref.field);
+          const values = ref.itemField
+            ? (Array.isArray(raw) ? raw : [raw]).map((item) =>
+                getNestedValue(item, ref.itemField),
+              )
+            : [raw];
+          values.forEach((value) => {
+            if (isMissingValue(value) || ref.categories.includes(value)) {
+              return;
             }
+            const text = String(value);
+            unexpected.set(text, (unexpected.get(text) || 0) + 1);
           });
-          return Object.entries(counts)
-            .map(([key, count]) => ({
-              label: key,
-              count: count,
-              percentage: total > 0 ? Math.round((count / total) * 100) : 0,
-            }))
-            .sort((a, b) => b.percentage - a.percentage);
-        })(),
-        firstGeneration: [], // Not in schema
-        international: [], // Not in schema
-        housing: calculateBooleanDistribution(
-          filteredEntry,
-          "studentInformation.enrolledUHInfo.livingOnCampus",
-          "On Campus",
-          "Off Campus",
-        ),
-        honorsCollegeAffiliation: calculateBooleanDistribution(
-          filteredEntry,
-          "studentInformation.enrolledUHInfo.honorsCollegeAffiliatedStatus",
-          "Yes",
-          "No",
-        ),
-        communityService: calculateBooleanDistribution(
-          filteredEntry,
-          "studentInformation.communityServiceInfo.serviceStatus",
-          "Yes",
-          "No",
-        ),
-        graduateSchoolInterest: (() => {
-          // Extract from programGradProType object (has id, label, checked)
-          const categories = { Masters: 0, PhD: 0, "MD/DO": 0, Other: 0 };
-          let total = 0;
-          filteredEntry.forEach((entry) => {
-            const gradType = getNestedValue(
-              entry,
-              "studentInformation.graduateProfessionalSchool.programGradProType",
-            );
-            if (gradType && typeof gradType === "object") {
-              const label =
-                gradType.label ||
-                gradType.id ||
-                (gradType.checked ? "Yes" : null);
-              if (label) {
-                const normalized = String(label).trim().toLowerCase();
-                if (normalized.includes("master")) {
-                  categories.Masters++;
-                } else if (normalized.includes("phd") || normalized.includes("ph.d")) {
-                  categories.PhD++;
-                } else if (
-                  normalized.includes("md") ||
-                  normalized.includes("do") ||
-                  normalized.includes("medical")
-                ) {
-                  categories["MD/DO"]++;
-                } else {
-                  categories.Other++;
-                }
-                total++;
-              }
-            }
+        });
+        if (unexpected.size) {
+          const count = [...unexpected.values()].reduce((a, b) => a + b, 0);
+          const field = ref.itemField
+            ? `${ref.field}.${ref.itemField}`
+            : ref.field;
+          warnings.push({
+            type: "unexpectedValue",
+            severity: "warning",
+            source: ref.source,
+            field,
+            label,
+            count,
+            total: rows.length,
+            message:
+              `${label}: ${count} answer(s) in ${field} are not one of ` +
+              `${ref.categories.join(", ")} and are left out.`,
+            examples: [...unexpected.keys()].slice(0, MAX_QUALITY_EXAMPLES),
           });
-          return Object.entries(categories)
-            .map(([key, count]) => ({
-              label: key,
-              count: count,
-              percentage: total > 0 ? Math.round((count / total) * 100) : 0,
-            }))
-            .filter((item) => item.count > 0 || total === 0)
-            .sort((a, b) => b.percentage - a.percentage);
-        })(),
-      };
+        }
+      });
+    });
+  });
 
-      // Academic Profile - with dummy data
-      const academicProfile = {
-        gpa: [
-          { label: "3.5-4.0", percentage: 45 },
-          { label: "3.0-3.49", percentage: 35 },
-          { label: "2.5-2.99", percentage: 15 },
-          { label: "Below 2.5", percentage: 5 },
-        ],
-        creditHours: [
-          { label: "12-15", percentage: 60 },
-          { label: "16-18", percentage: 30 },
-          { label: "9-11", percentage: 10 },
-        ],
-        research: [
-          { label: "Yes", percentage: 40 },
-          { label: "No", percentage: 60 },
-        ],
-        internship: [
-          { label: "Yes", percentage: 35 },
-          { label: "No", percentage: 65 },
-        ],
-      };
+  // Registrations nobody submitted a form for
+  const registrations = sources.registrations || [];
+  const linked = new Set();
+  Object.entries(sourceDefinitions).forEach(([name, source]) => {
+    const link = source.link || "expRegistrationID";
+    (sources[name] || []).forEach((row) => {
+      linked.add(String(getNestedValue(row, link)));
+    });
+  });
+  const orphaned = registrations.filter((doc) => !linked.has(String(doc._id)));
+  if (registrations.length && orphaned.length) {
+    const collections = Object.keys(sourceDefinitions)
+      .map(collectionOf)
+      .join(", ");
+    warnings.push({
+      type: "orphanedRegistration",
+      severity: "info",
+      source: "registrations",
+      field: null,
+      label: "Registrations",
+      count: orphaned.length,
+      total: registrations.length,
+      message:
+        `${orphaned.length} of ${registrations.length} registrations have ` +
+        `no submission in ${collections}.`,
+      examples: orphaned
+        .slice(0, MAX_QUALITY_EXAMPLES)
+        .map((doc) => String(doc._id)),
+    });
+  }
+
+  // More than one submission of a form for the same registration
+  Object.entries(sourceDefinitions).forEach(([name, source]) => {
+    const link = source.link || "expRegistrationID";
+    const perRegistration = new Map();
+    (sources[name] || []).forEach((row) => {
+      const id = String(getNestedValue(row, link));
+      perRegistration.set(id, (perRegistration.get(id) || 0) + 1);
+    });
+    const duplicates = [...perRegistration.entries()].filter(
+      ([, count]) => count > 1,
+    );
+    if (!duplicates.length) return;
+    const extra = duplicates.reduce((sum, [, count]) => sum + count - 1, 0);
+    warnings.push({
+      type: "duplicateSubmission",
+      severity: "warning",
+      source: name,
+      field: link,
+      label: collectionOf(name),
+      count: extra,
+      total: (sources[name] || []).length,
+      message:
+        `${duplicates.length} student(s) submitted ${collectionOf(name)} ` +
+        `more than once; the ${extra} extra submission(s) are counted too.`,
+      examples: duplicates
+        .slice(0, MAX_QUALITY_EXAMPLES)
+        .map(([id]) => id),
+    });
+  });
+
+  return {
+    warningCount: warnings.filter((item) => item.severity === "warning")
+      .length,
+    warnings,
+  };
+}
+
+// ============= SMALL-CELL PROTECTION =============
+// With small cohorts a label/count chart can single out a student (e.g. the
+// one international PhD-bound student). Cells with fewer than minCellSize
+// responses are merged into "Other" or dropped, depending on the strategy.
+// Charts over a fixed scale (likert, expectedVsAchieved) and threshold
+// charts keep their categories; their small cells are blanked instead.
+// Settings come from the definition's "privacy" block; MIN_CELL_SIZE and
+// SMALL_CELL_STRATEGY override them for every report.
+
+const SUPPRESSIBLE_CHART_TYPES = [
+  "distribution",
+  "arrayDistribution",
+  "boolean",
+  "buckets",
+  "categories",
+];
+const SMALL_CELL_STRATEGIES = ["merge", "suppress"];
+
+function resolvePrivacy(definition) {
+  const privacy = definition.privacy || {};
+  const envSize = process.env.MIN_CELL_SIZE;
+  const minCellSize = envSize ? Number(envSize) : Number(privacy.minCellSize);
+  const strategy = process.env.SMALL_CELL_STRATEGY || privacy.strategy;
+
+  return {
+    minCellSize: Number.isFinite(minCellSize) ? minCellSize : 0,
+    strategy: SMALL_CELL_STRATEGIES.includes(strategy) ? strategy : "merge",
+    otherLabel: privacy.otherLabel || "Other",
+  };
+}
+
+// Hide the cells of a label/count chart that fall below minCellSize. Hidden
+// cells are complemented with the next smallest ones until they cover at
+// least two cells and minCellSize responses, so a hidden count can't be
+// worked out by subtracting the visible ones from the total.
+function suppressSmallCells(items, privacy) {
+  const { minCellSize, strategy, otherLabel } = privacy;
+  const hasSmallCell = items.some(
+    (item) => item.count > 0 && item.count < minCellSize,
+  );
+  if (minCellSize < 2 || !hasSmallCell) {
+    return { items, suppressed: false };
+  }
+
+  const total = items.reduce((sum, item) => sum + item.count, 0);
+  const hidden = new Set(
+    items.filter(
+      (item) =>
+        (item.count > 0 && item.count < minCellSize) ||
+        (strategy === "merge" && item.label === otherLabel),
+    ),
+  );
+  let hiddenCount = 0;
+  hidden.forEach((item) => {
+    hiddenCount += item.count;
+  });
+
+  [...items]
+    .sort((a, b) => a.count - b.count)
+    .forEach((item) => {
+      if (hidden.has(item)) return;
+      if (hiddenCount >= minCellSize && hidden.size >= 2) return;
+      hidden.add(item);
+      hiddenCount += item.count;
+    });
+
+  const visible = items.filter((item) => !hidden.has(item));
+  if (strategy === "merge") {
+    visible.push({
+      label: otherLabel,
+      count: hiddenCount,
+      percentage: total > 0 ? Math.round((hiddenCount / total) * 100) : 0,
+    });
+  }
+  return { items: visible, suppressed: true };
+}
+
+// The count key of each distribution in a scale chart, and the keys that
+// are blanked (set to null) with it
+const SCALE_CHART_SERIES = {
+  likert: [{ countKey: "count", valueKeys: ["count", "percentage"] }],
+  expectedVsAchieved: [
+    { countKey: "expectedCount", valueKeys: ["expected", "expectedCount"] },
+    { countKey: "achievedCount", valueKeys: ["achieved", "achievedCount"] },
+  ],
+};
+
+// Blank the small cells of a scale chart, with complementary cells so they
+// can't be recovered from the total. Every category stays so the scale
+// still reads in order.
+function suppressScaleCells(items, series, privacy) {
+  let result = items;
+  let suppressed = false;
+  series.forEach(({ countKey, valueKeys }) => {
+    const { items: visible, suppressed: changed } = suppressSmallCells(
+      result.map((item) => ({
+        label: item.category,
+        count: item[countKey],
+        item,
+      })),
+      { ...privacy, strategy: "suppress" },
+    );
+    if (!changed) return;
+    suppressed = true;
+    const shown = new Set(visible.map((cell) => cell.item));
+    result = result.map((item) =>
+      shown.has(item)
+        ? item
+        : {
+            ...item,
+            ...Object.fromEntries(valueKeys.map((key) => [key, null])),
+            suppressed: true,
+          },
+    );
+  });
+  return { items: result, suppressed };
+}
+
+// Each threshold item splits the respondents in two, so it is blanked when
+// either side is below minCellSize. Its description shows "*" in place of
+// the percentage.
+function suppressThresholdScores(items, chart, respondents, privacy) {
+  const { minCellSize } = privacy;
+  if (minCellSize < 2) return { items, suppressed: false };
+
+  const isSmall = (count) => count > 0 && count < minCellSize;
+  let suppressed = false;
+  const result = items.map((item, index) => {
+    if (!isSmall(item.count) && !isSmall(respondents - item.count)) {
+      return item;
+    }
+    suppressed = true;
+    const text = (chart.items[index] || {}).text;
+    return {
+      ...item,
+      count: null,
+      percentage: null,
+      suppressed: true,
+      text: String(text || "").replace(/\{percentage\}/g, "*"),
+    };
+  });
+  return { items: result, suppressed };
+}
+
+// Run a chart's value through the protection that fits its type; returns
+// { items, suppressed }
+function protectChart(chart, value, sources, privacy) {
+  if (chart.privacy === false) return { items: value, suppressed: false };
+  if (SUPPRESSIBLE_CHART_TYPES.includes(chart.type)) {
+    return suppressSmallCells(value, privacy);
+  }
+  if (chart.type === "crossTab") {
+    return suppressCrossTabCells(value, privacy);
+  }
+  if (SCALE_CHART_SERIES[chart.type]) {
+    return suppressScaleCells(value, SCALE_CHART_SERIES[chart.type], privacy);
+  }
+  if (chart.type === "threshold") {
+    const respondents = (sources[chart.source] || []).length;
+    return suppressThresholdScores(value, chart, respondents, privacy);
+  }
+  return { items: value, suppressed: false };
+}
+
+// The privacy block of a report's template data. `note` is printed in the
+// PDF when any chart was affected.
+function summarizePrivacy(privacy, chartLabels) {
+  const charts = [...new Set(chartLabels.filter(Boolean))].join(", ");
+  const action =
+    privacy.strategy === "merge"
+      ? `are combined into "${privacy.otherLabel}"`
+      : "are not shown";
+  return {
+    minCellSize: privacy.minCellSize,
+    strategy: privacy.strategy,
+    applied: chartLabels.length > 0,
+    note: chartLabels.length
+      ? `To protect student privacy, groups with fewer than ` +
+        `${privacy.minCellSize} responses ${action} (${charts}).`
+      : "",
+  };
+}
+
+// Interpret a report definition against its loaded sources. Charts land in
+// templateData[section.key][chart.key], or at the top level for sections
+// without a key. `reportSections` carries the same charts with their labels
+// for templates that render sections generically. expectedVsAchieved charts
+// with a statsKey also get matched-pair statistics (see PAIRED GROWTH
+// STATISTICS) under that key and as `stats`. Count-bearing charts go
+// through small-cell protection; `privacy.charts` lists the paths of the
+// charts it changed. `participation` holds the stage counts and funnel.
+function buildReportData(definition, sources) {
+  // Per-student flags stay out of the template data
+  const { total, counts, funnel } = buildParticipation(definition, sources);
+  const participation = { total, counts, funnel };
+  const data = { participation };
+  const context = {
+    sources,
+    participation,
+    buckets: resolveBuckets(definition),
+    redaction: resolveRedaction(definition, sources),
+    decisions: new Map(
+      (sources.commentModeration || []).map((doc) => [doc.commentId, doc]),
+    ),
+  };
+  const privacy = resolvePrivacy(definition);
+  const suppressedCharts = [];
+
+  (definition.metrics || []).forEach((metric) => {
+    const builder = METRIC_BUILDERS[metric.type];
+    if (!builder) {
+      throw new Error(`Unknown metric type "${metric.type}" in ${definition.id}`);
+    }
+    data[metric.key] = builder(metric, sources, data);
+  });
+
+  data.reportSections = (definition.sections || []).map((section) => {
+    const target = section.key ? (data[section.key] = {}) : data;
+    const charts = (section.charts || []).map((chart) => {
+      const builder = CHART_BUILDERS[chart.type];
+      if (!builder) {
+        throw new Error(`Unknown chart type "${chart.type}" in ${definition.id}`);
+      }
+      const { items: value, suppressed } = protectChart(
+        chart,
+        builder(chart, sources[chart.source] || [], context),
+        sources,
+        privacy,
+      );
+      if (suppressed) {
+        suppressedCharts.push({
+          path: section.key ? `${section.key}.${chart.key}` : chart.key,
+          label: chart.label || chart.key,
+        });
+      }
+      target[chart.key] = value;
+      if (chart.descriptionsKey) {
+        target[chart.descriptionsKey] = value.map((item) => ({
+          label: item.category,
+          text: item.text,
+        }));
+      }
+      let stats;
+      if (chart.type === "expectedVsAchieved" && chart.statsKey) {
+        stats = calculatePairedGrowthStats(
+          sources[chart.expected.source] || [],
+          sources[chart.achieved.source] || [],
+          chart.expected.field,
+          chart.achieved.field,
+          chart.categories,
+          chart.pairBy,
+        );
+        target[chart.statsKey] = stats;
+      }
+      return {
+        key: chart.key,
+        label: chart.label,
+        type: chart.type,
+        items: value,
+        suppressed,
+        stats,
+      };
+    });
+    return { key: section.key, title: section.title, charts };
+  });
+
+  const labels = suppressedCharts.map((chart) => chart.label);
+  data.privacy = {
+    ...summarizePrivacy(privacy, labels),
+    charts: suppressedCharts,
+  };
+
+  return data;
+}
+
+// ============= COMMENT REDACTION AND MODERATION =============
+// Free-text answers end up in reports that are shared widely. Before
+// rendering, emails, phone numbers, student IDs and the names of students in
+// the cohort are replaced (see the definition's "redaction" block). On top
+// of that, instructors can hide, highlight or edit single comments. Their
+// decisions are stored in commentModerationData by comment id (source
+// document id and field), so they apply every time the report is generated.
+
+const COMMENT_ACTIONS = ["hide", "highlight", "edit"];
+
+function resolveRedaction(definition, sources) {
+  const redaction = definition.redaction || {};
+  const names = new Set();
+  (sources[redaction.nameSource] || []).forEach((row) => {
+    (redaction.nameFields || []).forEach((field) => {
+      const value = getNestedValue(row, field);
+      if (typeof value === "string" && value.trim().length > 1) {
+        names.add(value.trim());
+      }
+    });
+  });
+
+  return {
+    enabled: redaction.enabled !== false,
+    // Longest first so "Anna Maria" wins over "Anna"
+    names: [...names].sort((a, b) => b.length - a.length),
+    studentIdPattern: redaction.studentIdPattern || "\\b\\d{7}\\b",
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function redactPii(text, redaction) {
+  if (!redaction.enabled) return text;
+
+  let result = text
+    .replace(/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, "[email]")
+    .replace(
+      /(\+?1[\s.-]?)?(\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g,
+      "[phone]",
+    )
+    .replace(new RegExp(redaction.studentIdPattern, "g"), "[student ID]");
+  if (redaction.names.length) {
+    const names = redaction.names.map(escapeRegExp).join("|");
+    result = result.replace(new RegExp(`\\b(${names})\\b`, "gi"), "[name]");
+  }
+  return result;
+}
+
+// Apply the stored decisions and redaction to a textList chart's comments.
+// Hidden comments are dropped and highlighted ones move to the top.
+function moderateComments(comments, decisions, redaction) {
+  const moderated = comments
+    .map((comment) => {
+      const decision = decisions.get(comment.id);
+      const action = decision ? decision.action : null;
+      if (action === "hide") return null;
+      const text = action === "edit" ? decision.text : comment.text;
+      return {
+        id: comment.id,
+        text: redactPii(String(text).trim(), redaction),
+        highlighted: action === "highlight",
+      };
+    })
+    .filter(Boolean);
+
+  return [
+    ...moderated.filter((comment) => comment.highlighted),
+    ...moderated.filter((comment) => !comment.highlighted),
+  ];
+}
+
+function hasTextLists(definition) {
+  return (definition.sections || []).some((section) =>
+    (section.charts || []).some((chart) => chart.type === "textList"),
+  );
+}
+
+// The answers shown in a definition's text lists, with their redacted text
+// and current decision
+function listComments(definition, sources) {
+  const redaction = resolveRedaction(definition, sources);
+  const decisions = new Map(
+    sources.commentModeration.map((doc) => [doc.commentId, doc]),
+  );
+
+  const comments = [];
+  (definition.sections || []).forEach((section) => {
+    (section.charts || [])
+      .filter((chart) => chart.type === "textList")
+      .forEach((chart) => {
+        const rows = sources[chart.source] || [];
+        collectTextValues(rows, chart.field).forEach((comment) => {
+          const decision = decisions.get(comment.id);
+          comments.push({
+            id: comment.id,
+            chart: chart.label || chart.key,
+            original: comment.text,
+            redacted: redactPii(comment.text, redaction),
+            action: decision ? decision.action : null,
+            editedText:
+              decision && decision.action === "edit" ? decision.text : null,
+          });
+        });
+      });
+  });
+  return comments;
+}
+
+app.get("/api/comments", requireStaff, async (req, res) => {
+  try {
+    const { reportType, sessionId, experienceId } = req.query;
+    const definition = getReportDefinition(reportType);
+    if (!definition || definition.compare) {
+      return res.status(400).json({ error: "Unsupported report type" });
+    }
+    if (!sessionId || !experienceId) {
+      return res
+        .status(400)
+        .json({ error: "sessionId and experienceId are required" });
+    }
+    if (!canAccessExperience(req.user, experienceId)) {
+      return res
+        .status(403)
+        .json({ error: "You do not have access to this experience" });
+    }
+
+    const db = await getMongoDb();
+    const sources = await loadReportSources(
+      db,
+      definition,
+      String(sessionId),
+      String(experienceId),
+    );
+    return res.json({ comments: listComments(definition, sources) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load comments",
+      details: error.message,
+    });
+  }
+});
+
+// Save a decision for one comment. action "show" clears it. The body names
+// the report like a generate request (reportType, sessionId, experienceId,
+// instructorName) and is authorized the same way; comments that report
+// does not show are 404.
+app.put("/api/comments/:id", requireStaff, async (req, res) => {
+  try {
+    const { sessionId, experienceId, action, text } = req.body || {};
+    if (!sessionId || !experienceId) {
+      return res
+        .status(400)
+        .json({ error: "sessionId and experienceId are required" });
+    }
+    if (action !== "show" && !COMMENT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: `action must be one of show, ${COMMENT_ACTIONS.join(", ")}`,
+      });
+    }
+    if (action === "edit" && !(typeof text === "string" && text.trim())) {
+      return res.status(400).json({ error: "text is required for edit" });
+    }
+
+    const db = await getMongoDb();
+    const params = await authorizeReportRequest(db, req);
+    if (params.error) {
+      return res.status(params.status).json({ error: params.error });
+    }
+    if (params.definition.compare) {
+      return res.status(400).json({ error: "Unsupported report type" });
+    }
+
+    const sources = await loadReportSources(
+      db,
+      params.definition,
+      params.sessionValue,
+      params.experienceValue,
+    );
+    const comments = listComments(params.definition, sources);
+    if (!comments.some((comment) => comment.id === req.params.id)) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    const collection = db.collection("commentModerationData");
+    const filter = {
+      commentId: req.params.id,
+      sessionId: params.sessionValue,
+      experienceId: params.experienceValue,
+    };
+
+    if (action === "show") {
+      await collection.deleteOne(filter);
+      return res.json({ comment: { id: req.params.id, action: null } });
+    }
+
+    await collection.updateOne(
+      filter,
+      {
+        $set: {
+          action,
+          text: action === "edit" ? text.trim() : null,
+          updatedBy: req.user.email,
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+    return res.json({ comment: { id: req.params.id, action } });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to save comment decision",
+      details: error.message,
+    });
+  }
+});
+
+// ============= THEME ANALYSIS =============
+// Summarizes free-text answers without any external service: keyword and
+// two-word phrase frequency, keyword clusters ("themes") with representative
+// quotes, and a lexicon-based positive/neutral/negative split. It runs on
+// the moderated, redacted comments, so hidden comments are left out and
+// quotes never bring back redacted details.
+
+const STOP_WORDS = new Set(
+  (
+    "a about above after again all also am an and any are as at be because " +
+    "been before being below between both but by can could did do does " +
+    "doing down during each even every few for from further get got had " +
+    "has have having he her here hers him his how i if in into is it its " +
+    "itself just like lot lots me more most much my myself no nor not now " +
+    "of off on once one only or other our ours out over own really same " +
+    "she should so some such than that the their them then there these " +
+    "they thing things this those through to too under until up us very " +
+    "was way we well were what when where which while who whom why will " +
+    "with would you your yours also able many make made"
+  ).split(" "),
+);
+
+const POSITIVE_WORDS = new Set(
+  (
+    "amazing appreciate appreciated awesome beneficial benefit best better " +
+    "clear confident easy engaging enjoy enjoyed enjoyable excellent " +
+    "excited fantastic fun glad grateful great happy helpful insightful " +
+    "inspiring interesting love loved meaningful nice perfect practical " +
+    "recommend rewarding supportive thankful useful valuable wonderful"
+  ).split(" "),
+);
+
+const NEGATIVE_WORDS = new Set(
+  (
+    "bad boring challenging confused confusing difficult disappointed " +
+    "disappointing disorganized frustrated frustrating hard hate hated " +
+    "lacking overwhelmed overwhelming poor stressful stressed tedious " +
+    "unclear unhelpful unorganized useless waste worse worst"
+  ).split(" "),
+);
+
+const NEGATIONS = new Set(["not", "no", "never", "nothing", "hardly"]);
+
+// Lower-case words, with "|" where punctuation breaks a sentence up;
+// redaction tokens such as [name] are dropped
+function tokenize(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .replace(/\[[^\]]*\]/g, " ")
+      .replace(/[.,;:!?()"]+/g, " | ")
+      .match(/[a-z][a-z'-]*|\|/g) || []
+  ).map((word) => word.replace(/'s$/, ""));
+}
+
+// Crude plural folding so "projects" and "project" count together
+function stemWord(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function scoreSentiment(words) {
+  let score = 0;
+  words.forEach((word, index) => {
+    const polarity = POSITIVE_WORDS.has(word)
+      ? 1
+      : NEGATIVE_WORDS.has(word)
+        ? -1
+        : 0;
+    if (!polarity) return;
+    const negated = words
+      .slice(Math.max(0, index - 2), index)
+      .some((previous) => NEGATIONS.has(previous) || previous.endsWith("n't"));
+    score += negated ? -polarity : polarity;
+  });
+  return score;
+}
+
+// Shorten long quotes at a word boundary
+function truncateQuote(text, maxLength = 220) {
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, maxLength).replace(/\s+\S*$/, "")}…`;
+}
+
+function analyzeThemes(comments, options = {}) {
+  const maxThemes = options.maxThemes || 5;
+  const minThemeSize = options.minThemeSize || 2;
+  const quotesPerTheme = options.quotesPerTheme || 2;
+  const maxKeywords = options.maxKeywords || 10;
+  const stopWords = new Set([
+    ...STOP_WORDS,
+    ...(options.stopWords || []).map((word) => word.toLowerCase()),
+  ]);
+
+  // Most common spelling of each stem, for display
+  const spellings = {};
+  const docs = comments.map((comment) => {
+    const words = tokenize(comment.text);
+    const terms = [];
+    const phrases = [];
+    // Phrases are two kept words that are next to each other in the text
+    let previous = null;
+    words.forEach((word) => {
+      if (word === "|" || word.length < 3 || stopWords.has(word)) {
+        previous = null;
+        return;
+      }
+      const stem = stemWord(word);
+      spellings[stem] = spellings[stem] || {};
+      spellings[stem][word] = (spellings[stem][word] || 0) + 1;
+      terms.push(stem);
+      if (previous && previous !== stem) phrases.push(`${previous} ${stem}`);
+      previous = stem;
+    });
+    return {
+      text: comment.text,
+      terms: new Set(terms),
+      phrases: new Set(phrases),
+      sentiment: scoreSentiment(words),
+    };
+  });
+  const display = (stem) =>
+    Object.entries(spellings[stem] || { [stem]: 1 }).sort(
+      (a, b) => b[1] - a[1],
+    )[0][0];
+
+  // Document frequency: how many comments mention each term/phrase
+  const countDocs = (key) => {
+    const counts = {};
+    docs.forEach((doc) => {
+      doc[key].forEach((term) => {
+        counts[term] = (counts[term] || 0) + 1;
+      });
+    });
+    return Object.entries(counts).sort(
+      (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]),
+    );
+  };
+  const termCounts = countDocs("terms");
+  const phraseCounts = countDocs("phrases");
+
+  const total = docs.length;
+  const percentageOf = (count) =>
+    total > 0 ? Math.round((count / total) * 100) : 0;
+
+  // Greedy keyword clustering: each frequent term claims the comments that
+  // mention it and aren't in a theme yet
+  const assigned = new Set();
+  const themes = [];
+  termCounts.forEach(([stem, count]) => {
+    if (themes.length >= maxThemes || count < minThemeSize) return;
+    const members = docs.filter(
+      (doc) => !assigned.has(doc) && doc.terms.has(stem),
+    );
+    if (members.length < minThemeSize) return;
+    members.forEach((doc) => assigned.add(doc));
+
+    // The term that most often appears alongside the seed names the theme
+    const related = {};
+    members.forEach((doc) => {
+      doc.terms.forEach((term) => {
+        if (term !== stem) related[term] = (related[term] || 0) + 1;
+      });
+    });
+    const companion = Object.entries(related)
+      .filter(([, relatedCount]) => relatedCount >= minThemeSize)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    const keywords = [stem, ...(companion ? [companion[0]] : [])];
+
+    const uniqueMembers = [
+      ...new Map(members.map((doc) => [doc.text, doc])).values(),
+    ];
+    const quotes = uniqueMembers
+      .sort(
+        (a, b) =>
+          keywords.filter((term) => b.terms.has(term)).length -
+            keywords.filter((term) => a.terms.has(term)).length ||
+          a.text.length - b.text.length,
+      )
+      .slice(0, quotesPerTheme)
+      .map((doc) => truncateQuote(doc.text));
+
+    themes.push({
+      label: keywords.map(display).join(" / "),
+      count: members.length,
+      percentage: percentageOf(members.length),
+      quotes,
+    });
+  });
+
+  const sentimentCounts = { Positive: 0, Neutral: 0, Negative: 0 };
+  docs.forEach((doc) => {
+    const label =
+      doc.sentiment > 0
+        ? "Positive"
+        : doc.sentiment < 0
+          ? "Negative"
+          : "Neutral";
+    sentimentCounts[label]++;
+  });
+
+  return {
+    total,
+    keywords: termCounts.slice(0, maxKeywords).map(([stem, count]) => ({
+      term: display(stem),
+      count,
+    })),
+    phrases: phraseCounts
+      .filter(([, count]) => count >= minThemeSize)
+      .slice(0, maxKeywords)
+      .map(([phrase, count]) => ({
+        phrase: phrase.split(" ").map(display).join(" "),
+        count,
+      })),
+    themes,
+    unthemed: total - assigned.size,
+    sentiment: Object.entries(sentimentCounts).map(([label, count]) => ({
+      label,
+      count,
+      percentage: percentageOf(count),
+    })),
+  };
+}
+
+// ============= COMPARISON REPORTS =============
+// A definition with a "compare" block lays other reports' numbers side by
+// side for one experience across several sessions. Entries point into those
+// reports' template data by report id and path; see comparison.json.
+
+function formatChange(first, last) {
+  if (typeof first !== "number" || typeof last !== "number") {
+    return { change: null, changeLabel: "–", direction: "flat" };
+  }
+  const change = last - first;
+  return {
+    change,
+    changeLabel: `${change > 0 ? "+" : ""}${change}`,
+    direction: change > 0 ? "up" : change < 0 ? "down" : "flat",
+  };
+}
+
+async function buildComparisonData(db, definition, params) {
+  const spec = definition.compare;
+  const distributions = spec.distributions || [];
+  const metrics = spec.metrics || [];
+  const growth = spec.growth || [];
+
+  const definitions = loadReportDefinitions();
+  const reportIds = [
+    ...new Set(
+      [...distributions, ...metrics, ...growth].map((entry) => entry.report),
+    ),
+  ];
+  reportIds.forEach((reportId) => {
+    if (!definitions[reportId] || definitions[reportId].compare) {
+      throw new Error(
+        `Comparison ${definition.id} references unknown report "${reportId}"`,
+      );
+    }
+  });
+
+  // Template data of every referenced report, per session
+  const perSession = await Promise.all(
+    params.sessions.map(async (session) => {
+      const data = {};
+      for (const reportId of reportIds) {
+        const sources = await loadReportSources(
+          db,
+          definitions[reportId],
+          session.value,
+          params.experienceValue,
+        );
+        data[reportId] = buildReportData(definitions[reportId], sources);
+      }
+      return data;
+    }),
+  );
+  const valuesAt = (entry) =>
+    perSession.map((data) => getNestedValue(data[entry.report], entry.path));
+
+  const distributionComparisons = distributions.map((entry) => {
+    const perSessionItems = valuesAt(entry).map((items) =>
+      Array.isArray(items) ? items : [],
+    );
+    const labels = [];
+    perSessionItems.forEach((items) => {
+      items.forEach((item) => {
+        if (!labels.includes(item.label)) labels.push(item.label);
+      });
+    });
+
+    const rows = labels.map((label) => {
+      const values = perSessionItems.map((items) => {
+        const item = items.find((candidate) => candidate.label === label);
+        return item
+          ? { percentage: item.percentage, count: item.count }
+          : { percentage: 0, count: 0 };
+      });
+      return {
+        label,
+        values,
+        ...formatChange(
+          values[0].percentage,
+          values[values.length - 1].percentage,
+        ),
+      };
+    });
+    return { label: entry.label, rows };
+  });
+
+  const metricComparisons = metrics.map((entry) => {
+    const values = valuesAt(entry).map((value) => ({
+      value: typeof value === "number" ? value : null,
+      display:
+        typeof value === "number" ? `${value}${entry.unit || ""}` : "–",
+    }));
+    return {
+      label: entry.label,
+      values,
+      ...formatChange(values[0].value, values[values.length - 1].value),
+    };
+  });
+
+  // Share of students expecting/achieving any of the entry's categories;
+  // null when small-cell protection blanked one of them
+  const growthComparisons = growth.map((entry) => {
+    const categories = entry.categories || ["Moderate", "A lot"];
+    const values = valuesAt(entry).map((items) => {
+      const rows = (Array.isArray(items) ? items : []).filter((item) =>
+        categories.includes(item.category),
+      );
+      const sum = (key) =>
+        rows.some((item) => item[key] === null)
+          ? null
+          : rows.reduce((total, item) => total + (item[key] || 0), 0);
+      const expected = sum("expected");
+      const achieved = sum("achieved");
+      const display = (value) => (value === null ? "*" : `${value}%`);
+      return {
+        expected,
+        achieved,
+        display: `${display(expected)} → ${display(achieved)}`,
+      };
+    });
+    return {
+      label: entry.label,
+      categories: categories.join(" / "),
+      values,
+      ...formatChange(values[0].achieved, values[values.length - 1].achieved),
+    };
+  });
+
+  // Entries that small-cell protection changed in any session
+  const suppressedEntries = [...distributions, ...growth].filter((entry) =>
+    perSession.some((data) =>
+      data[entry.report].privacy.charts.some(
+        (chart) => chart.path === entry.path,
+      ),
+    ),
+  );
+  const privacy = summarizePrivacy(
+    resolvePrivacy(
+      suppressedEntries.length
+        ? definitions[suppressedEntries[0].report]
+        : definition,
+    ),
+    suppressedEntries.map((entry) => entry.label),
+  );
+
+  return {
+    sessions: params.sessions.map((session) => ({
+      id: session.value,
+      label: session.display,
+    })),
+    privacy,
+    distributionComparisons,
+    metricComparisons,
+    growthComparisons,
+  };
+}
+
+// List the report types defined in ./report_definitions
+app.get("/api/report-types", (req, res) => {
+  const reportTypes = Object.values(loadReportDefinitions())
+    .map((definition) => ({
+      id: definition.id,
+      label: definition.label || definition.id,
+      compare: Boolean(definition.compare),
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  return res.json({ reportTypes });
+});
+
+// Data quality warnings for one session/experience: for the given report
+// type, or for every (non-comparison) report type when it is omitted
+app.get("/api/data-quality", requireStaff, async (req, res) => {
+  const { reportType, sessionId, experienceId } = req.query;
+  if (!sessionId || !experienceId) {
+    return res
+      .status(400)
+      .json({ error: "sessionId and experienceId are required" });
+  }
+  if (!canAccessExperience(req.user, String(experienceId))) {
+    return res
+      .status(403)
+      .json({ error: "You do not have access to this experience" });
+  }
+
+  let definitions;
+  if (reportType) {
+    const definition = getReportDefinition(reportType);
+    if (!definition) {
+      return res.status(400).json({ error: "Unknown report type" });
+    }
+    definitions = definition.compare ? [] : [definition];
+  } else {
+    definitions = Object.values(loadReportDefinitions()).filter(
+      (definition) => !definition.compare,
+    );
+  }
+
+  try {
+    const db = await getMongoDb();
+    const reports = [];
+    for (const reportDefinition of definitions) {
+      const definition = await applyExperienceConfig(
+        db,
+        reportDefinition,
+        String(experienceId),
+      );
+      const sources = await loadReportSources(
+        db,
+        definition,
+        String(sessionId),
+        String(experienceId),
+      );
+      reports.push({
+        reportType: definition.id,
+        label: definition.label || definition.id,
+        registrations: sources.registrations.length,
+        ...checkDataQuality(definition, sources),
+      });
+    }
+    return res.json({
+      sessionId: String(sessionId),
+      experienceId: String(experienceId),
+      warningCount: reports.reduce(
+        (sum, report) => sum + report.warningCount,
+        0,
+      ),
+      reports,
+    });
+  } catch (error) {
+    console.error("Error checking data quality:", error);
+    return res.status(500).json({
+      error: "Failed to check data quality",
+      details: error.message,
+    });
+  }
+});
+
+// The filters a report type offers, with the values present in the selected
+// session/experience
+app.get("/api/report-filters", requireStaff, async (req, res) => {
+  const { reportType, sessionId, experienceId } = req.query;
+  const definition = getReportDefinition(reportType);
+  if (!definition) {
+    return res.status(400).json({ error: "Unknown report type" });
+  }
+  if (!sessionId || !experienceId) {
+    return res
+      .status(400)
+      .json({ error: "sessionId and experienceId are required" });
+  }
+  if (!canAccessExperience(req.user, String(experienceId))) {
+    return res
+      .status(403)
+      .json({ error: "You do not have access to this experience" });
+  }
+
+  try {
+    const db = await getMongoDb();
+    const sources = await loadReportSources(
+      db,
+      definition,
+      String(sessionId),
+      String(experienceId),
+    );
+    const buckets = resolveBuckets(definition);
+    const filters = (definition.filters || []).map((filter) => {
+      const options = new Set();
+      (sources[filter.source] || []).forEach((row) => {
+        fieldLabels(row, filter, buckets).forEach((label) =>
+          options.add(label),
+        );
+      });
+      return {
+        key: filter.key,
+        label: filter.label || filter.key,
+        options: [...options].sort((a, b) =>
+          a.localeCompare(b, undefined, { numeric: true }),
+        ),
+      };
+    });
+    return res.json({ filters });
+  } catch (error) {
+    console.error("Error loading report filters:", error);
+    return res.status(500).json({
+      error: "Failed to load report filters",
+      details: error.message,
+    });
+  }
+});
+
+// ============= BROWSER POOL =============
+// Chromium instances are launched once and reused across renders. At most
+// BROWSER_POOL_SIZE renders run at a time (one per browser); each render gets
+// a fresh page and is abandoned after RENDER_TIMEOUT_MS. A browser that
+// crashes or hangs is replaced on its next use.
+
+const BROWSER_POOL_SIZE = Math.max(
+  1,
+  Number(process.env.BROWSER_POOL_SIZE) || 2,
+);
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS) || 60 * 1000;
+
+// Reject with `message` if `promise` does not settle within `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createBrowserPool({ size, renderTimeoutMs, launchOptions }) {
+  const slots = Array.from({ length: size }, () => ({
+    browser: null,
+    launching: null,
+    busy: false,
+  }));
+  const waiters = [];
+  let closed = false;
+
+  async function ensureBrowser(slot) {
+    if (slot.browser && slot.browser.isConnected()) return slot.browser;
+    if (!slot.launching) {
+      slot.launching = puppeteer
+        .launch(launchOptions)
+        .then((browser) => {
+          browser.on("disconnected", () => {
+            if (slot.browser === browser) slot.browser = null;
+          });
+          slot.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          slot.launching = null;
+        });
+    }
+    return slot.launching;
+  }
+
+  async function discardBrowser(slot) {
+    const { browser } = slot;
+    slot.browser = null;
+    if (browser) {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  function acquire() {
+    if (closed) {
+      return Promise.reject(new Error("Browser pool is shut down"));
+    }
+    const slot = slots.find((candidate) => !candidate.busy);
+    if (slot) {
+      slot.busy = true;
+      return Promise.resolve(slot);
+    }
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  function release(slot) {
+    const waiter = waiters.shift();
+    if (waiter) {
+      waiter.resolve(slot);
+    } else {
+      slot.busy = false;
+    }
+  }
+
+  async function renderPdf(html, pdfOptions) {
+    const slot = await acquire();
+    let page;
+    try {
+      const browser = await ensureBrowser(slot);
+      page = await browser.newPage();
+      return await withTimeout(
+        (async () => {
+          // Reports are static; nothing in them gets to run
+          await page.setJavaScriptEnabled(false);
+          await page.setContent(html, { waitUntil: "networkidle0" });
+          return page.pdf(pdfOptions);
+        })(),
+        renderTimeoutMs,
+        `PDF rendering timed out after ${renderTimeoutMs}ms`,
+      );
+    } catch (error) {
+      // The browser may be wedged; start a fresh one for the next render
+      await discardBrowser(slot);
+      page = null;
+      throw error;
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      release(slot);
+    }
+  }
+
+  async function warmUp() {
+    await Promise.all(slots.map((slot) => ensureBrowser(slot)));
+  }
+
+  async function close() {
+    closed = true;
+    waiters
+      .splice(0)
+      .forEach((waiter) =>
+        waiter.reject(new Error("Browser pool is shut down")),
+      );
+    await Promise.all(
+      slots.map(async (slot) => {
+        if (slot.launching) await slot.launching.catch(() => {});
+        await discardBrowser(slot);
+      }),
+    );
+  }
+
+  return { renderPdf, warmUp, close };
+}
+
+const browserPool = createBrowserPool({
+  size: BROWSER_POOL_SIZE,
+  renderTimeoutMs: RENDER_TIMEOUT_MS,
+  launchOptions: {
+    headless: "new",
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  },
+});
+
+// Normalise the report request body shared by the report endpoints.
+// Returns { error } when a required selection is missing.
+function parseReportRequest(body) {
+  const {
+    reportType,
+    sessionId,
+    sessionLabel,
+    sessionIds,
+    sessionLabels,
+    experienceId,
+    experienceLabel,
+    instructorName,
+    accessible,
+  } = body || {};
+
+  const toText = (value) =>
+    value === undefined || value === null ? "" : String(value).trim();
+
+  const definition = getReportDefinition(reportType);
+
+  // Comparison reports cover several sessions: sessionIds (with matching
+  // sessionLabels) in the order they should appear, oldest first
+  let sessions = [];
+  if (definition && definition.compare && Array.isArray(sessionIds)) {
+    sessions = sessionIds.map((id, index) => {
+      const value = toText(id);
+      const label = Array.isArray(sessionLabels)
+        ? toText(sessionLabels[index])
+        : "";
+      return { value, display: label || value };
+    });
+  } else if (toText(sessionId)) {
+    sessions = [
+      {
+        value: toText(sessionId),
+        display: toText(sessionLabel) || toText(sessionId),
+      },
+    ];
+  }
+  sessions = sessions.filter((session) => session.value);
+
+  const sessionValue = sessions.map((session) => session.value).join(",");
+  const sessionDisplay = sessions
+    .map((session) => session.display)
+    .join(" vs ");
+
+  const experienceValue = toText(experienceId);
+  const experienceDisplay = toText(experienceLabel) || experienceValue;
+
+  if (!sessionValue) {
+    return { error: "session is required" };
+  }
+
+  if (!experienceValue) {
+    return { error: "experience is required" };
+  }
+
+  if (!definition) {
+    return { error: "Unknown report type" };
+  }
+
+  const { error: filterError, filters } = parseReportFilters(
+    definition,
+    (body || {}).filters,
+  );
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  const minSessions = definition.compare
+    ? definition.compare.minSessions || 2
+    : 1;
+  if (sessions.length < minSessions) {
+    return { error: `at least ${minSessions} sessions are required` };
+  }
+
+  return {
+    reportType,
+    definition,
+    sessions,
+    sessionValue,
+    sessionDisplay,
+    experienceValue,
+    experienceDisplay,
+    instructorName: toText(instructorName),
+    filters,
+    // Semantic layout with a data table under every chart
+    accessible: accessible === true,
+  };
+}
+
+// Parse a report request, then check the user may see its experience and
+// the instructor teaches it. Returns { status, error } or the parsed params.
+async function authorizeReportRequest(db, req) {
+  const params = parseReportRequest(req.body);
+  if (params.error) {
+    return { status: 400, error: params.error };
+  }
+  if (!canAccessExperience(req.user, params.experienceValue)) {
+    return { status: 403, error: "You do not have access to this experience" };
+  }
+
+  const instructorError = await checkReportInstructor(db, params);
+  if (instructorError) {
+    return { status: 400, error: instructorError };
+  }
+  return params;
+}
+
+// Calculate the report-specific part of the template data, with the
+// experience's chart settings applied
+async function buildTemplateData(db, params) {
+  const { sessionValue, experienceValue, filters } = params;
+  if (params.definition.compare) {
+    return buildComparisonData(db, params.definition, params);
+  }
+
+  const definition = await applyExperienceConfig(
+    db,
+    params.definition,
+    experienceValue,
+  );
+  const sources = await loadReportSources(
+    db,
+    definition,
+    sessionValue,
+    experienceValue,
+    filters,
+  );
+  return {
+    ...buildReportData(definition, sources),
+    dataQuality: checkDataQuality(definition, sources),
+  };
+}
+
+// Render a report's template (see resolveReportTemplate) to HTML
+function renderReportHtml(template, templateData) {
+  if (template.source !== undefined) {
+    // Checked again as printed, with the students' answers in it
+    const html = renderTemplateSource(template, templateData);
+    const unsafe = findUnsafeTemplate(
+      withoutTrustedFields(html, templateData),
+    );
+    if (unsafe) throw new Error(`The rendered report contains ${unsafe}`);
+    return html;
+  }
+
+  const templatePath = path.join(__dirname, "templates", template.file);
+
+  // Read and compile template
+  const templateSource = fs.readFileSync(templatePath, "utf8");
+  const compiled = handlebars.compile(templateSource);
+  return compiled(templateData);
+}
+
+// The cover fields shared by every template, styled with a branding profile
+function templateCoverData(params, branding = DEFAULT_BRANDING) {
+  const { definition, sessionDisplay, experienceDisplay, instructorName } =
+    params;
+  const filters = params.filters || [];
+
+  return {
+    experience: experienceDisplay,
+    session: sessionDisplay,
+    instructorName,
+    reportTitle: definition.label || definition.id,
+    generatedDate: new Date().toLocaleDateString(),
+    filters: filters.map(({ key, label, values }) => ({ key, label, values })),
+    filterSummary: describeFilters(filters),
+    accessible: params.accessible === true,
+    logoBase64: brandingLogo(branding),
+    branding: brandingTemplateData(branding),
+  };
+}
+
+// Build the complete template data for a parsed report request: the cover
+// fields plus the report's own numbers
+async function prepareTemplateData(db, params) {
+  const reportData = await buildTemplateData(db, params);
+  const branding = await resolveBranding(db, params);
+  return { ...templateCoverData(params, branding), ...reportData };
+}
+
+// File name (without extension) for a report download
+function reportBaseName(params) {
+  const { reportType, sessionDisplay, sessionValue } = params;
+  const { experienceDisplay, experienceValue } = params;
+  const safeSession = (sessionDisplay || sessionValue || "session")
+    .replace(/[^\w\-]+/g, "-")
+    .toLowerCase();
+  const safeExperience = (experienceDisplay || experienceValue || "experience")
+    .replace(/[^\w\-]+/g, "-")
+    .toLowerCase();
+  return `${reportType}_${safeSession}_${safeExperience}`;
+}
+
+// Generate a report PDF into ./generated_reports. `onProgress(stage, percent)`
+// is called as the report moves through its stages.
+async function generateReport(params, onProgress = () => {}) {
+  const {
+    reportType,
+    definition,
+    sessionValue,
+    sessionDisplay,
+    experienceValue,
+    experienceDisplay,
+    instructorName,
+  } = params;
+
+  onProgress("Loading data", 10);
+  const db = await getMongoDb();
+  const templateData = await prepareTemplateData(db, params);
+
+  onProgress("Building report", 40);
+  const template = await resolveReportTemplate(
+    db,
+    definition,
+    experienceValue,
+  );
+  const html = renderReportHtml(template, templateData);
+
+  onProgress("Rendering PDF", 60);
+  // Timestamped so regenerating never overwrites an archived report
+  const generatedAt = new Date();
+  const fileName = `${reportBaseName(params)}_${generatedAt.getTime()}.pdf`;
+  const filePath = path.join(GENERATED_REPORTS_DIR, fileName);
+
+  await browserPool.renderPdf(html, {
+    path: filePath,
+    format: "A4",
+    landscape: true,
+    printBackground: true,
+    margin: { top: "0mm", right: "0mm", bottom: "0mm", left: "0mm" },
+    // Accessible reports are tagged, keeping the headings, tables and alt
+    // text for screen readers, and get the headings as bookmarks
+    tagged: params.accessible,
+    outline: params.accessible,
+  });
+
+  onProgress("Archiving", 90);
+  let archiveId = null;
+  try {
+    archiveId = await archiveReport(db, {
+      reportType,
+      sessionId: sessionValue,
+      session: sessionDisplay,
+      experienceId: experienceValue,
+      experience: experienceDisplay,
+      instructorName,
+      generatedAt,
+      fileName,
+      templateData,
+    });
+  } catch (error) {
+    // The PDF is still usable; it just won't show up in the history
+    console.error("Error archiving report:", error);
+  }
+
+  onProgress("Done", 100);
+  return { filePath, fileName, archiveId };
+}
+
+// ============= DATA EXPORTS =============
+// Besides the PDF, /api/generate-report can return the computed template
+// data as HTML, JSON, CSV or XLSX. Tabular formats get one table per chart.
+
+const REPORT_FORMATS = ["pdf", "html", "json", "csv", "xlsx"];
+
+// Column layouts for the item shapes the chart builders produce
+const TABLE_COLUMNS = {
+  distribution: [
+    { key: "label", header: "Label" },
+    { key: "count", header: "Count" },
+    { key: "percentage", header: "Percentage" },
+  ],
+  expectedVsAchieved: [
+    { key: "category", header: "Category" },
+    { key: "expectedCount", header: "Expected Count" },
+    { key: "expected", header: "Expected Percentage" },
+    { key: "achievedCount", header: "Achieved Count" },
+    { key: "achieved", header: "Achieved Percentage" },
+  ],
+  likert: [
+    { key: "category", header: "Category" },
+    { key: "count", header: "Count" },
+    { key: "percentage", header: "Percentage" },
+  ],
+  threshold: [
+    { key: "category", header: "Item" },
+    { key: "count", header: "Count" },
+    { key: "percentage", header: "Percentage" },
+    { key: "text", header: "Description" },
+  ],
+  growthStats: [
+    { key: "label", header: "Competency" },
+    { key: "n", header: "Matched Pairs" },
+    { key: "meanExpected", header: "Mean Expected" },
+    { key: "meanAchieved", header: "Mean Achieved" },
+    { key: "meanShift", header: "Mean Shift" },
+    { key: "increased", header: "Increased" },
+    { key: "unchanged", header: "Unchanged" },
+    { key: "decreased", header: "Decreased" },
+    { key: "pValue", header: "Wilcoxon p-value" },
+    { key: "effectSize", header: "Effect Size (r)" },
+    { key: "effectMagnitude", header: "Magnitude" },
+  ],
+  funnel: [
+    { key: "label", header: "Stage" },
+    { key: "count", header: "Students" },
+    { key: "percentage", header: "Percentage of Registered" },
+    { key: "conversion", header: "Percentage of Previous Stage" },
+  ],
+  textList: [{ key: "response", header: "Response" }],
+  dataQuality: [
+    { key: "severity", header: "Severity" },
+    { key: "type", header: "Check" },
+    { key: "label", header: "Chart" },
+    { key: "field", header: "Field" },
+    { key: "count", header: "Affected" },
+    { key: "total", header: "Total" },
+    { key: "message", header: "Message" },
+  ],
+  themes: [
+    { key: "label", header: "Theme" },
+    { key: "count", header: "Comments" },
+    { key: "percentage", header: "Percentage" },
+    { key: "quotes", header: "Representative Quotes" },
+  ],
+};
+
+// Flatten a report's template data into [{ name, sheetName, columns, rows }]
+function buildReportTables(templateData) {
+  const tables = [];
+
+  if (templateData.sessions && templateData.metricComparisons) {
+    const sessionColumns = templateData.sessions.map((session, index) => ({
+      key: `session${index}`,
+      header: session.label,
+    }));
+    const changeColumn = { key: "change", header: "Change" };
+
+    tables.push({
+      name: "Participation",
+      columns: [
+        { key: "label", header: "Metric" },
+        ...sessionColumns,
+        changeColumn,
+      ],
+      rows: templateData.metricComparisons.map((metric) => ({
+        label: metric.label,
+        change: metric.change,
+        ...Object.fromEntries(
+          metric.values.map((value, index) => [
+            `session${index}`,
+            value.value,
+          ]),
+        ),
+      })),
+    });
+    tables.push({
+      name: "Student Growth",
+      columns: [
+        { key: "label", header: "Competency" },
+        ...sessionColumns.map((column) => ({
+          ...column,
+          header: `${column.header} (expected → achieved)`,
+        })),
+        changeColumn,
+      ],
+      rows: templateData.growthComparisons.map((growth) => ({
+        label: growth.label,
+        change: growth.change,
+        ...Object.fromEntries(
+          growth.values.map((value, index) => [
+            `session${index}`,
+            value.display,
+          ]),
+        ),
+      })),
+    });
+    templateData.distributionComparisons.forEach((distribution) => {
+      tables.push({
+        name: distribution.label,
+        columns: [
+          { key: "label", header: "Label" },
+          ...sessionColumns,
+          changeColumn,
+        ],
+        rows: distribution.rows.map((row) => ({
+          label: row.label,
+          change: row.change,
+          ...Object.fromEntries(
+            row.values.map((value, index) => [
+              `session${index}`,
+              value.percentage,
+            ]),
+          ),
+        })),
+      });
+    });
+    return tables;
+  }
+
+  (templateData.reportSections || []).forEach((section) => {
+    const statsRows = [];
+    section.charts.forEach((chart) => {
+      let columns = TABLE_COLUMNS[chart.type] || TABLE_COLUMNS.distribution;
+      let rows = chart.items;
+      if (chart.type === "crossTab") {
+        // One count column per column label; suppressed cells stay empty
+        columns = [
+          { key: "label", header: "Label" },
+          ...chart.items.columns.map((column, index) => ({
+            key: `column${index}`,
+            header: column,
+          })),
+          { key: "total", header: "Total" },
+        ];
+        rows = chart.items.rows.map((row) => ({
+          label: row.label,
+          total: row.total,
+          ...Object.fromEntries(
+            row.cells.map((cell, index) => [`column${index}`, cell.count]),
+          ),
+        }));
+      } else if (chart.type === "textList") {
+        rows = chart.items.map((comment) => ({ response: comment.text }));
+      } else if (chart.type === "themes") {
+        rows = chart.items.themes.map((theme) => ({
+          ...theme,
+          quotes: theme.quotes.join(" | "),
+        }));
+      }
+      tables.push({
+        name: section.title ? `${section.title} - ${chart.label}` : chart.label,
+        sheetName: chart.label,
+        columns,
+        rows,
+      });
+      if (chart.type === "themes") {
+        tables.push({
+          name: `${chart.label} - Sentiment`,
+          sheetName: `${chart.label} Sentiment`,
+          columns: TABLE_COLUMNS.distribution,
+          rows: chart.items.sentiment,
+        });
+      }
+      if (chart.stats) {
+        statsRows.push({ label: chart.label, ...chart.stats });
+      }
+    });
+    if (statsRows.length) {
+      const name = section.title || "Growth";
+      tables.push({
+        name: `${name} - Paired Analysis`,
+        sheetName: `${name} Paired Analysis`,
+        columns: TABLE_COLUMNS.growthStats,
+        rows: statsRows,
+      });
+    }
+  });
+
+  const qualityWarnings = (templateData.dataQuality || {}).warnings || [];
+  if (qualityWarnings.length) {
+    tables.push({
+      name: "Data Quality",
+      sheetName: "Data Quality",
+      columns: TABLE_COLUMNS.dataQuality,
+      rows: qualityWarnings,
+    });
+  }
+
+  return tables;
+}
+
+// Everything in the template data except the embedded logo and styling
+function toExportData(templateData) {
+  const { logoBase64, branding, ...data } = templateData;
+  return data;
+}
+
+function toCsvValue(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV section per table, separated by a blank line
+function buildReportCsv(tables) {
+  return tables
+    .map((table) => {
+      const lines = [
+        toCsvValue(table.name),
+        table.columns.map((column) => toCsvValue(column.header)).join(","),
+        ...table.rows.map((row) =>
+          table.columns.map((column) => toCsvValue(row[column.key])).join(","),
+        ),
+      ];
+      return lines.join("\r\n");
+    })
+    .join("\r\n\r\n");
+}
+
+// One worksheet per table. Sheet names are limited to 31 characters and
+// must be unique.
+async function buildReportXlsx(tables) {
+  const ExcelJS = requireFeature("exceljs", "XLSX export");
+  const workbook = new ExcelJS.Workbook();
+  const usedNames = new Set();
+
+  tables.forEach((table) => {
+    const base =
+      (table.sheetName || table.name)
+        .replace(/[\\/?*[\]:]/g, "-")
+        .slice(0, 31) || "Sheet";
+    let name = base;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+      name = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = table.columns.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: column.key === "text" || column.key === "response" ? 80 : 20,
+    }));
+    sheet.getRow(1).font = { bold: true };
+    table.rows.forEach((row) => sheet.addRow(row));
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// Generate report endpoint (waits for the PDF; see /api/reports for jobs)
+app.post("/api/generate-report", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const params = await authorizeReportRequest(db, req);
+    if (params.error) {
+      return res.status(params.status).json({ error: params.error });
+    }
+
+    const format = String(req.body.format || "pdf").toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of ${REPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    if (format !== "pdf") {
+      const templateData = await prepareTemplateData(db, params);
+      const baseName = reportBaseName(params);
+
+      if (format === "html") {
+        const template = await resolveReportTemplate(
+          db,
+          params.definition,
+          params.experienceValue,
+        );
+        const html = renderReportHtml(template, templateData);
+        return res.type("html").send(html);
+      }
+
+      if (format === "json") {
+        res.attachment(`${baseName}.${format}`);
+        return res.send(JSON.stringify(toExportData(templateData), null, 2));
+      }
+
+      // Built before the download headers so a failure is a JSON error
+      const tables = buildReportTables(templateData);
+      const file =
+        format === "csv"
+          ? buildReportCsv(tables)
+          : await buildReportXlsx(tables);
+      res.attachment(`${baseName}.${format}`);
+      return res.send(file);
+    }
+
+    const { filePath, fileName } = await generateReport(params);
+
+    res.download(filePath, fileName, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+      }
+    });
+  } catch (error) {
+    console.error("Report generation error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to generate report", details: error.message });
+  }
+});
+
+// Rendered report HTML for the preview panel. This is the same HTML the PDF
+// is printed from, so the preview matches the final output.
+app.post("/api/preview", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const params = await authorizeReportRequest(db, req);
+    if (params.error) {
+      return res.status(params.status).json({ error: params.error });
+    }
+
+    const templateData = await prepareTemplateData(db, params);
+    const template = await resolveReportTemplate(
+      db,
+      params.definition,
+      params.experienceValue,
+    );
+    const html = renderReportHtml(template, templateData);
+    return res.type("html").send(html);
+  } catch (error) {
+    console.error("Report preview error:", error);
+    return res
+      .status(500)
+      .json({ error: "Failed to preview report", details: error.message });
+  }
+});
+
+// ============= REPORT ARCHIVE =============
+// Every generated PDF is recorded in reportArchiveData together with the
+// template data it was rendered from, so older reports can be listed,
+// downloaded again and deleted.
+
+async function archiveReport(db, report) {
+  const { templateData, ...metadata } = report;
+  // Keep the snapshot to the numbers, without the logo and styling
+  const { logoBase64, branding, ...dataSnapshot } = templateData;
+  const filePath = path.join(GENERATED_REPORTS_DIR, report.fileName);
+  const result = await db.collection("reportArchiveData").insertOne({
+    ...metadata,
+    fileSize: fs.statSync(filePath).size,
+    dataSnapshot,
+  });
+  return String(result.insertedId);
+}
+
+function toArchiveEntry(doc) {
+  return {
+    id: String(doc._id),
+    reportType: doc.reportType,
+    sessionId: doc.sessionId,
+    session: doc.session,
+    experienceId: doc.experienceId,
+    experience: doc.experience,
+    instructorName: doc.instructorName,
+    generatedAt: doc.generatedAt,
+    fileName: doc.fileName,
+    fileSize: doc.fileSize,
+  };
+}
+
+// Viewers may open any archived report, instructors only those for the
+// experiences they are assigned to
+async function findArchivedReport(db, id, user) {
+  if (!ObjectId.isValid(id)) return null;
+  const doc = await db
+    .collection("reportArchiveData")
+    .findOne({ _id: new ObjectId(id) });
+  if (!doc) return null;
+  return user.role === "viewer" || canAccessExperience(user, doc.experienceId)
+    ? doc
+    : null;
+}
+
+// List archived reports, newest first. Optional filters: reportType,
+// sessionId, experienceId, instructorName, from/to (dates) and limit.
+app.get("/api/reports/history", async (req, res) => {
+  try {
+    const {
+      reportType,
+      sessionId,
+      experienceId,
+      instructorName,
+      from,
+      to,
+      limit,
+    } = req.query;
+
+    // An unparseable date would quietly match nothing
+    const fromDate = from ? new Date(String(from)) : null;
+    const toDate = to ? new Date(String(to)) : null;
+    const invalidDate = [
+      ["from", fromDate],
+      ["to", toDate],
+    ].find(([, date]) => date && Number.isNaN(date.getTime()));
+    if (invalidDate) {
+      return res
+        .status(400)
+        .json({ error: `${invalidDate[0]} must be a valid date` });
+    }
+
+    const query = {};
+    if (reportType) query.reportType = String(reportType);
+    if (sessionId) query.sessionId = String(sessionId);
+    if (experienceId) query.experienceId = String(experienceId);
+    // Instructors only see reports for their own experiences
+    if (req.user.role === "instructor") {
+      const allowed = req.user.experienceIds.filter(
+        (id) => !experienceId || id === String(experienceId),
+      );
+      query.experienceId = { $in: allowed };
+    }
+    if (instructorName) query.instructorName = String(instructorName);
+    if (fromDate || toDate) {
+      query.generatedAt = {};
+      if (fromDate) query.generatedAt.$gte = fromDate;
+      if (toDate) query.generatedAt.$lte = toDate;
+    }
+
+    const db = await getMongoDb();
+    const reports = await db
+      .collection("reportArchiveData")
+      .find(query)
+      .project({ dataSnapshot: 0 })
+      .sort({ generatedAt: -1 })
+      .limit(Math.min(Number(limit) || 100, 500))
+      .toArray();
+
+    return res.json({ reports: reports.map(toArchiveEntry) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load report history",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/api/reports/history/:id", async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const doc = await findArchivedReport(db, req.params.id, req.user);
+    if (!doc) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    return res.json({
+      report: { ...toArchiveEntry(doc), dataSnapshot: doc.dataSnapshot },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load report",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/api/reports/history/:id/file", async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const doc = await findArchivedReport(db, req.params.id, req.user);
+    const filePath = doc && path.join(GENERATED_REPORTS_DIR, doc.fileName);
+    if (!doc || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "Report file not found" });
+    }
+    return res.download(filePath, doc.fileName, (err) => {
+      if (err) {
+        console.error("Download error:", err);
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to download report",
+      details: error.message,
+    });
+  }
+});
+
+app.delete("/api/reports/history/:id", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const doc = await findArchivedReport(db, req.params.id, req.user);
+    if (!doc) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    await db.collection("reportArchiveData").deleteOne({ _id: doc._id });
+    const filePath = path.join(GENERATED_REPORTS_DIR, doc.fileName);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+
+    return res.json({ deleted: String(doc._id) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to delete report",
+      details: error.message,
+    });
+  }
+});
+
+// ============= REPORT JOBS =============
+// Reports requested through /api/reports and scheduled deliveries run in the
+// background, at most REPORT_CONCURRENCY at a time. Jobs live in memory and
+// are dropped REPORT_JOB_TTL_MINUTES after they finish.
+
+const REPORT_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.REPORT_CONCURRENCY) || 2,
+);
+const REPORT_JOB_TTL_MS =
+  (Number(process.env.REPORT_JOB_TTL_MINUTES) || 60) * 60 * 1000;
+
+const reportJobs = new Map();
+const reportQueue = [];
+let runningReportJobs = 0;
+
+function toJobStatus(job) {
+  const queuePosition = reportQueue.indexOf(job.id);
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    queuePosition: queuePosition === -1 ? null : queuePosition + 1,
+    reportType: job.params.reportType,
+    session: job.params.sessionDisplay,
+    experience: job.params.experienceDisplay,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    fileName: job.result ? job.result.fileName : null,
+    error: job.error,
+  };
+}
+
+function runNextReportJob() {
+  while (runningReportJobs < REPORT_CONCURRENCY && reportQueue.length) {
+    const job = reportJobs.get(reportQueue.shift());
+    if (!job) continue;
+
+    runningReportJobs++;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    generateReport(job.params, (stage, progress) => {
+      job.stage = stage;
+      job.progress = progress;
+    })
+      .then((result) => {
+        job.status = "done";
+        job.result = result;
+      })
+      .catch((error) => {
+        console.error(`Report job ${job.id} failed:`, error);
+        job.status = "failed";
+        job.error = {
+          message: "Failed to generate report",
+          details: error.message,
+          stage: job.stage,
+        };
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        runningReportJobs--;
+        job.settle(job);
+        runNextReportJob();
+      });
+  }
+}
+
+// owner is the email of the user who queued the job. job.finished resolves
+// with the job once it is done or failed.
+function enqueueReportJob(params, owner) {
+  let settle;
+  const finished = new Promise((resolve) => {
+    settle = resolve;
+  });
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    status: "queued",
+    stage: "Queued",
+    progress: 0,
+    params,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    finished,
+    settle,
+  };
+  reportJobs.set(job.id, job);
+  reportQueue.push(job.id);
+  runNextReportJob();
+  return job;
+}
+
+// Forget finished jobs once they expire
+setInterval(() => {
+  const now = Date.now();
+  reportJobs.forEach((job, id) => {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > REPORT_JOB_TTL_MS) {
+      reportJobs.delete(id);
+    }
+  });
+}, 60 * 1000).unref();
+
+// Queue a report; responds immediately with the job id
+app.post("/api/reports", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const params = await authorizeReportRequest(db, req);
+    if (params.error) {
+      return res.status(params.status).json({ error: params.error });
+    }
+
+    const job = enqueueReportJob(params, req.user.email);
+    return res.status(202).json({ jobId: job.id, job: toJobStatus(job) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to queue report",
+      details: error.message,
+    });
+  }
+});
+
+// Generate every requested report type for every active experience in a
+// session and stream them back as one ZIP. Failed reports are listed in
+// manifest.json instead of aborting the batch.
+app.post("/api/reports/batch", requireStaff, async (req, res) => {
+  const { sessionId, sessionLabel, instructorName, accessible } =
+    req.body || {};
+  const reportTypes = Array.isArray(req.body && req.body.reportTypes)
+    ? req.body.reportTypes
+    : [];
+
+  const sessionValue =
+    sessionId === undefined || sessionId === null
+      ? ""
+      : String(sessionId).trim();
+  const sessionDisplay =
+    sessionLabel === undefined || sessionLabel === null
+      ? sessionValue
+      : String(sessionLabel).trim() || sessionValue;
+
+  if (!sessionValue) {
+    return res.status(400).json({ error: "session is required" });
+  }
+  if (!reportTypes.length) {
+    return res.status(400).json({ error: "reportTypes is required" });
+  }
+  // Comparison reports span several sessions, so they can't be batched
+  const unknownTypes = reportTypes.filter((type) => {
+    const definition = getReportDefinition(type);
+    return !definition || definition.compare;
+  });
+  if (unknownTypes.length) {
+    return res
+      .status(400)
+      .json({ error: `Unsupported report type: ${unknownTypes.join(", ")}` });
+  }
+
+  let archiver;
+  try {
+    archiver = requireFeature("archiver", "Batch generation");
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  // Every active experience the user can access. Each report names the
+  // posted instructor where they teach the experience, otherwise the
+  // experience's own instructor.
+  let experiences;
+  let instructors;
+  try {
+    const db = await getMongoDb();
+    experiences = (await listExperiences(db, sessionValue)).filter((exp) =>
+      canAccessExperience(req.user, exp.id),
+    );
+    instructors = (await db.collection("instructorData").find({}).toArray())
+      .map(toInstructor)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load experiences",
+      details: error.message,
+    });
+  }
+
+  if (!experiences.length) {
+    return res
+      .status(404)
+      .json({ error: "No active experiences found for this session" });
+  }
+
+  const preferredInstructor =
+    instructorName === undefined || instructorName === null
+      ? ""
+      : String(instructorName).trim();
+  const findExperienceInstructor = (experienceId) => {
+    const teaching = instructors.filter((instructor) =>
+      teachesExperience(instructor, experienceId, [sessionValue]),
+    );
+    const instructor =
+      teaching.find(({ name }) => name === preferredInstructor) || teaching[0];
+    return instructor ? instructor.name : "";
+  };
+
+  const safeSession = sessionDisplay.replace(/[^\w\-]+/g, "-").toLowerCase();
+  res.attachment(`reports_${safeSession}.zip`);
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (error) => {
+    console.error("Batch archive error:", error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  let aborted = false;
+  res.on("close", () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  const manifest = {
+    session: sessionDisplay,
+    sessionId: sessionValue,
+    generatedAt: new Date().toISOString(),
+    reports: [],
+  };
+
+  // Experiences nobody teaches this session are listed, not generated
+  const items = [];
+  experiences.forEach((experience) => {
+    const experienceInstructor = findExperienceInstructor(experience.id);
+    reportTypes.forEach((reportType) => {
+      if (experienceInstructor) {
+        items.push({ experience, reportType, experienceInstructor });
+        return;
+      }
+      manifest.reports.push({
+        reportType,
+        experienceId: experience.id,
+        experience: experience.label,
+        status: "skipped",
+        error: "No instructor is assigned to this experience",
+      });
+    });
+  });
+
+  // Work through the batch with the same concurrency as the job queue
+  let nextItem = 0;
+  const worker = async () => {
+    while (!aborted && nextItem < items.length) {
+      const { experience, reportType, experienceInstructor } =
+        items[nextItem++];
+      const entry = {
+        reportType,
+        experienceId: experience.id,
+        experience: experience.label,
+        instructorName: experienceInstructor,
+      };
+      try {
+        const params = parseReportRequest({
+          reportType,
+          sessionId: sessionValue,
+          sessionLabel: sessionDisplay,
+          experienceId: experience.id,
+          experienceLabel: experience.label,
+          instructorName: experienceInstructor,
+          accessible,
+        });
+        if (params.error) throw new Error(params.error);
+
+        const { filePath, fileName } = await generateReport(params);
+        const name = `${reportType}/${fileName}`;
+        archive.append(fs.readFileSync(filePath), { name });
+        manifest.reports.push({ ...entry, status: "success", file: name });
+      } catch (error) {
+        console.error(
+          `Batch report ${reportType} for ${experience.label} failed:`,
+          error,
+        );
+        manifest.reports.push({
+          ...entry,
+          status: "failed",
+          error: error.message,
+        });
+      }
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(REPORT_CONCURRENCY, items.length) }, worker),
+  );
+
+  if (aborted) {
+    archive.abort();
+    return undefined;
+  }
+
+  manifest.succeeded = manifest.reports.filter(
+    (report) => report.status === "success",
+  ).length;
+  manifest.skipped = manifest.reports.filter(
+    (report) => report.status === "skipped",
+  ).length;
+  manifest.failed =
+    manifest.reports.length - manifest.succeeded - manifest.skipped;
+  archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+  await archive.finalize();
+  return undefined;
+});
+
+// Jobs are only visible to the user who queued them, and to admins
+function findReportJob(req) {
+  const job = reportJobs.get(req.params.id);
+  if (!job) return null;
+  return req.user.role === "admin" || job.owner === req.user.email
+    ? job
+    : null;
+}
+
+app.get("/api/reports/:id", requireStaff, (req, res) => {
+  const job = findReportJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Report job not found" });
+  }
+  return res.json({ job: toJobStatus(job) });
+});
+
+app.get("/api/reports/:id/file", requireStaff, (req, res) => {
+  const job = findReportJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Report job not found" });
+  }
+  if (job.status !== "done") {
+    return res
+      .status(409)
+      .json({ error: "Report is not ready", job: toJobStatus(job) });
+  }
+
+  return res.download(job.result.filePath, job.result.fileName, (err) => {
+    if (err) {
+      console.error("Download error:", err);
+    }
+  });
+});
+
+// ============= SCHEDULED DELIVERY =============
+// Schedules in reportSchedules regenerate a report on a cron expression and
+// email the PDF to their recipients. Every attempt is logged in
+// reportDeliveryLog, with the error when the report or the mail failed and
+// the recipients the mail server refused. The scheduler runs inside this
+// process, so only one server instance should have it enabled
+// (REPORT_SCHEDULER=off disables it).
+//
+// Mail goes through SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS.
+// With SMTP_TRANSPORT=local nothing is sent; messages are written as .eml
+// files to MAIL_OUTBOX_DIR instead, as a stand-in for dev and tests.
+
+const MAIL_OUTBOX_DIR =
+  process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "report-outbox");
+
+let mailTransport;
+
+function getMailTransport() {
+  if (!mailTransport) {
+    const nodemailer = requireFeature("nodemailer", "Scheduled delivery");
+    mailTransport =
+      process.env.SMTP_TRANSPORT === "local"
+        ? nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: "unix",
+          })
+        : nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+              ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+              : undefined,
+          });
+  }
+  return mailTransport;
+}
+
+async function sendReportEmail(schedule, params, report) {
+  const reportLabel = params.definition.label || params.reportType;
+  const selection = `${params.experienceDisplay} (${params.sessionDisplay})`;
+  const info = await getMailTransport().sendMail({
+    from: process.env.SMTP_FROM || "reports@localhost",
+    to: schedule.recipients.join(", "),
+    subject: `${reportLabel}: ${selection}`,
+    text:
+      `The scheduled ${reportLabel} for ${selection} is attached.\n\n` +
+      `Schedule: ${schedule.name || schedule.cron}`,
+    attachments: [{ filename: report.fileName, path: report.filePath }],
+  });
+
+  if (process.env.SMTP_TRANSPORT === "local") {
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    fs.writeFileSync(
+      path.join(MAIL_OUTBOX_DIR, `${Date.now()}_${schedule._id}.eml`),
+      info.message,
+    );
+  }
+  return info;
+}
+
+function toScheduleEntry(doc) {
+  const request = doc.request || {};
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    cron: doc.cron,
+    timezone: doc.timezone,
+    recipients: doc.recipients,
+    active: doc.active,
+    reportType: request.reportType,
+    sessionId: request.sessionId,
+    session: request.sessionLabel || request.sessionId,
+    experienceId: request.experienceId,
+    experience: request.experienceLabel || request.experienceId,
+    instructorName: request.instructorName,
+    createdBy: doc.createdBy,
+    lastRunAt: doc.lastRunAt || null,
+    lastStatus: doc.lastStatus || null,
+    lastError: doc.lastError || null,
+  };
+}
+
+// A schedule runs with its creator's access as it is now. Returns the
+// parsed request, or { status, error } like authorizeReportRequest; 403
+// when the creator's account is gone or no longer covers the experience.
+async function authorizeScheduleRun(db, schedule) {
+  const creator = await findUser(schedule.createdBy);
+  if (!creator || !USER_ROLES.includes(creator.role)) {
+    return {
+      status: 403,
+      error: `${schedule.createdBy} can no longer create reports`,
+    };
+  }
+  const params = await authorizeReportRequest(db, {
+    user: toSessionUser(creator),
+    body: schedule.request,
+  });
+  if (params.status === 403) {
+    return {
+      status: 403,
+      error: `${schedule.createdBy} no longer has access to this experience`,
+    };
+  }
+  return params;
+}
+
+// Generate and email one schedule's report, logging the attempt. A
+// schedule whose creator lost access is disabled, so it stops mailing
+// the experience's data.
+async function runReportSchedule(schedule, trigger) {
+  const db = await getMongoDb();
+  const delivery = {
+    scheduleId: schedule._id,
+    trigger,
+    recipients: schedule.recipients,
+    status: "running",
+    startedAt: new Date(),
+  };
+  const { insertedId } = await db
+    .collection("reportDeliveryLog")
+    .insertOne({ ...delivery });
+
+  let outcome;
+  try {
+    const params = await authorizeScheduleRun(db, schedule);
+    if (params.status === 403) {
+      unregisterReportSchedule(schedule._id);
+      await db
+        .collection("reportSchedules")
+        .updateOne({ _id: schedule._id }, { $set: { active: false } });
+      throw new Error(`${params.error}; the schedule was disabled`);
+    }
+    if (params.error) throw new Error(params.error);
+
+    // Waits its turn in the report queue like any other report
+    const job = await enqueueReportJob(params, schedule.createdBy).finished;
+    if (job.status === "failed") throw new Error(job.error.details);
+
+    const report = job.result;
+    const info = await sendReportEmail(schedule, params, report);
+    outcome = {
+      status: "success",
+      jobId: job.id,
+      fileName: report.fileName,
+      archiveId: report.archiveId,
+      messageId: info.messageId,
+      // Refused by the mail server while the others got the message; when
+      // all are refused sendMail throws
+      rejected: info.rejected || [],
+      error: null,
+    };
+  } catch (error) {
+    console.error(`Scheduled report ${schedule._id} failed:`, error);
+    outcome = { status: "failed", error: error.message };
+  }
+  outcome.finishedAt = new Date();
+
+  await db
+    .collection("reportDeliveryLog")
+    .updateOne({ _id: insertedId }, { $set: outcome });
+  await db.collection("reportSchedules").updateOne(
+    { _id: schedule._id },
+    {
+      $set: {
+        lastRunAt: outcome.finishedAt,
+        lastStatus: outcome.status,
+        lastError: outcome.error,
+      },
+    },
+  );
+
+  return {
+    id: String(insertedId),
+    ...delivery,
+    scheduleId: String(schedule._id),
+    ...outcome,
+  };
+}
+
+const scheduledTasks = new Map();
+
+function unregisterReportSchedule(id) {
+  const task = scheduledTasks.get(String(id));
+  if (task) {
+    task.stop();
+    scheduledTasks.delete(String(id));
+  }
+}
+
+function registerReportSchedule(schedule) {
+  const id = String(schedule._id);
+  unregisterReportSchedule(id);
+  if (!schedule.active || process.env.REPORT_SCHEDULER === "off") return;
+
+  const cron = requireFeature("node-cron", "Scheduled delivery");
+  const task = cron.schedule(
+    schedule.cron,
+    async () => {
+      try {
+        // Re-read so the run uses the schedule as it is now
+        const db = await getMongoDb();
+        const current = await db
+          .collection("reportSchedules")
+          .findOne({ _id: schedule._id });
+        if (current && current.active) {
+          await runReportSchedule(current, "schedule");
+        }
+      } catch (error) {
+        console.error(`Scheduled report ${id} could not run:`, error);
+      }
+    },
+    { timezone: schedule.timezone || undefined, noOverlap: true },
+  );
+  scheduledTasks.set(id, task);
+}
+
+async function startReportScheduler() {
+  if (process.env.REPORT_SCHEDULER === "off" || !process.env.MONGODB_URI) {
+    return;
+  }
+  requireFeature("node-cron", "Scheduled delivery");
+  const db = await getMongoDb();
+  const schedules = await db
+    .collection("reportSchedules")
+    .find({ active: true })
+    .toArray();
+  schedules.forEach(registerReportSchedule);
+  console.log(`Report scheduler started with ${schedules.length} schedule(s)`);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validate a schedule body (the report fields of /api/reports plus name,
+// cron, timezone, recipients and active); returns { error } or the fields
+// to store. The report fields are kept as posted and parsed again on
+// every run.
+function parseScheduleBody(body) {
+  const { name, cron: expression, timezone, recipients, active } = body || {};
+
+  let cron;
+  try {
+    cron = requireFeature("node-cron", "Scheduled delivery");
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (!expression || !cron.validate(String(expression))) {
+    return { error: "cron must be a valid cron expression" };
+  }
+  if (timezone && !isValidTimezone(String(timezone))) {
+    return { error: "timezone is not a valid IANA time zone" };
+  }
+
+  const recipientList = (
+    Array.isArray(recipients)
+      ? recipients
+      : String(recipients || "").split(/[\s,;]+/)
+  )
+    .map((email) => normalizeEmail(String(email)))
+    .filter(Boolean);
+  if (!recipientList.length) {
+    return { error: "recipients is required" };
+  }
+  const invalid = recipientList.filter(
+    (email) => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email),
+  );
+  if (invalid.length) {
+    return { error: `Invalid recipient: ${invalid.join(", ")}` };
+  }
+
+  const request = {};
+  [
+    "reportType",
+    "sessionId",
+    "sessionLabel",
+    "sessionIds",
+    "sessionLabels",
+    "experienceId",
+    "experienceLabel",
+    "instructorName",
+    "filters",
+    "accessible",
+  ].forEach((key) => {
+    if (body[key] !== undefined) request[key] = body[key];
+  });
+
+  return {
+    name: name ? String(name).trim() : "",
+    cron: String(expression).trim(),
+    timezone: timezone
+      ? String(timezone)
+      : process.env.SCHEDULE_TIMEZONE || "",
+    recipients: recipientList,
+    active: active !== false,
+    request,
+  };
+}
+
+// Admins see every schedule, instructors those of their experiences
+async function findSchedule(db, id, user) {
+  if (!ObjectId.isValid(id)) return null;
+  const doc = await db
+    .collection("reportSchedules")
+    .findOne({ _id: new ObjectId(id) });
+  if (!doc) return null;
+  return canAccessExperience(user, doc.request.experienceId) ? doc : null;
+}
+
+app.get("/api/schedules", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const schedules = await db.collection("reportSchedules").find({}).toArray();
+    return res.json({
+      schedules: schedules
+        .filter((doc) =>
+          canAccessExperience(req.user, doc.request.experienceId),
+        )
+        .map(toScheduleEntry),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load schedules",
+      details: error.message,
+    });
+  }
+});
+
+app.post("/api/schedules", requireStaff, async (req, res) => {
+  try {
+    const fields = parseScheduleBody(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+    const db = await getMongoDb();
+    const params = await authorizeReportRequest(db, req);
+    if (params.error) {
+      return res.status(params.status).json({ error: params.error });
+    }
+
+    const doc = {
+      ...fields,
+      createdBy: req.user.email,
+      createdAt: new Date(),
+    };
+    const result = await db.collection("reportSchedules").insertOne(doc);
+    doc._id = result.insertedId;
+    registerReportSchedule(doc);
+    return res.status(201).json({ schedule: toScheduleEntry(doc) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to create schedule",
+      details: error.message,
+    });
+  }
+});
+
+app.put("/api/schedules/:id", requireStaff, async (req, res) => {
+  try {
+    const fields = parseScheduleBody(req.body);
+    if (fields.error) {
+      return res.status(400).json({ error: fields.error });
+    }
+    const db = await getMongoDb();
+    const existing = await findSchedule(db, req.params.id, req.user);
+    if (!existing) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    const params = await authorizeReportRequest(db, req);
+    if (params.error) {
+      return res.status(params.status).json({ error: params.error });
+    }
+
+    await db
+      .collection("reportSchedules")
+      .updateOne({ _id: existing._id }, { $set: fields });
+    const doc = { ...existing, ...fields };
+    registerReportSchedule(doc);
+    return res.json({ schedule: toScheduleEntry(doc) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to update schedule",
+      details: error.message,
+    });
+  }
+});
+
+app.delete("/api/schedules/:id", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const doc = await findSchedule(db, req.params.id, req.user);
+    if (!doc) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    unregisterReportSchedule(doc._id);
+    await db.collection("reportSchedules").deleteOne({ _id: doc._id });
+    return res.json({ deleted: String(doc._id) });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to delete schedule",
+      details: error.message,
+    });
+  }
+});
+
+// Run a schedule immediately; responds with the logged delivery
+app.post("/api/schedules/:id/run", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const doc = await findSchedule(db, req.params.id, req.user);
+    if (!doc) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const delivery = await runReportSchedule(doc, "manual");
+    return res.json({ delivery });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to run schedule",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/api/schedules/:id/deliveries", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const doc = await findSchedule(db, req.params.id, req.user);
+    if (!doc) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const deliveries = await db
+      .collection("reportDeliveryLog")
+      .find({ scheduleId: doc._id })
+      .sort({ startedAt: -1 })
+      .limit(Math.min(Number(req.query.limit) || 20, 200))
+      .toArray();
+    return res.json({
+      deliveries: deliveries.map(({ _id, scheduleId, ...delivery }) => ({
+        id: String(_id),
+        scheduleId: String(scheduleId),
+        ...delivery,
+      })),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load deliveries",
+      details: error.message,
+    });
+  }
+});
+
+// ============= SVG CHARTS =============
+// Handlebars helpers that draw report charts as inline SVG. They replace
+// the CSS bars sized with `multiply`, so charts keep their labels at 0% and
+// 100% and look the same in the HTML preview and the PDF. Each helper takes
+// its rows plus hash options, e.g.
+//   {{{barChart studentGrowth.teamwork labelKey="category"
+//     series="expected,achieved" seriesLabels="Expected,Achieved"}}}
+// Common options: width, height (px), labelKey, valueKey, unit ("%" by
+// default), max, colors, legend=false, valueLabels=false, title and
+// dataTable=true (print the numbers as a table under the chart; on by
+// default in accessible reports). Screen readers get the title plus a
+// description of the data. Bar charts also take stacked=true and
+// detailKey, a second label line such as a count.
+const CHART_PALETTE = [
+  "#c8102e",
+  "#00ced1",
+  "#ffd700",
+  "#9b59b6",
+  "#2ecc71",
+  "#ff8c00",
+  "#3498db",
+  "#95a5a6",
+];
+// Likert colors run from the most negative to the most positive answer
+const LIKERT_NEGATIVE_COLORS = ["#8b0a1f", "#c8102e", "#e57373"];
+const LIKERT_POSITIVE_COLORS = ["#80deea", "#00ced1", "#008b8b"];
+const LIKERT_NEUTRAL_COLOR = "#888888";
+const CHART_FONT = "Inter, Arial, sans-serif";
+
+function chartList(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function chartOptions(hash = {}, defaults = {}) {
+  const value = (key, fallback) =>
+    hash[key] !== undefined
+      ? hash[key]
+      : defaults[key] !== undefined
+        ? defaults[key]
+        : fallback;
+  return {
+    width: Number(value("width", 480)),
+    height: Number(value("height", 280)),
+    labelKey: value("labelKey", "label"),
+    valueKey: value("valueKey", "percentage"),
+    valuesKey: value("valuesKey", "values"),
+    detailKey: value("detailKey"),
+    categoryKey: value("categoryKey", "category"),
+    itemsKey: value("itemsKey", "items"),
+    series: chartList(value("series")),
+    seriesLabels: chartList(value("seriesLabels")),
+    colors: chartList(value("colors")) || CHART_PALETTE,
+    labels: value("labels"),
+    unit: String(value("unit", "%")),
+    max: value("max") === undefined ? null : Number(value("max")),
+    stacked: value("stacked", false) === true,
+    donut: value("donut", false) === true,
+    legend: value("legend", true) !== false,
+    valueLabels: value("valueLabels", true) !== false,
+    title: value("title") ? String(value("title")) : "",
+    textColor: value("textColor", "#cccccc"),
+    gridColor: value("gridColor", "#444444"),
+    fontSize: Number(value("fontSize", 12)),
+    dataTable: value("dataTable", false) === true,
+  };
+}
+
+function escapeSvg(text) {
+  return String(text === undefined || text === null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function svgNumber(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function chartValue(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function formatChartValue(value, unit) {
+  return `${Math.round(value * 10) / 10}${unit}`;
+}
+
+// Small-cell protection blanks values to null; tables say so and bar
+// labels print "*"
+function chartTableValue(value, unit) {
+  return value === null
+    ? "Not shown"
+    : formatChartValue(chartValue(value), unit);
+}
+
+// Rounds the largest value up to a readable axis maximum; percentages
+// always use 0-100 unless the definition asks otherwise
+function niceChartMax(largest, options) {
+  if (options.max) return options.max;
+  if (options.unit === "%" && largest <= 100) return 100;
+  if (largest <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(largest)));
+  const step = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find(
+    (factor) => factor * magnitude >= largest,
+  );
+  return step * magnitude;
+}
+
+// Approximate text width, since the server cannot measure fonts
+function textWidth(text, fontSize) {
+  return String(text).length * fontSize * 0.58;
+}
+
+function wrapChartLabel(label, width, fontSize, maxLines = 2) {
+  const maxChars = Math.max(3, Math.floor(width / (fontSize * 0.58)));
+  const lines = [];
+  String(label)
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    });
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+  }
+  return lines.map((line) =>
+    line.length > maxChars ? `${line.slice(0, maxChars - 1)}…` : line,
+  );
+}
+
+function svgText(x, y, text, options, attributes = "") {
+  return (
+    `<text x="${svgNumber(x)}" y="${svgNumber(y)}" ` +
+    `fill="${options.textColor}"${attributes ? ` ${attributes}` : ""}>` +
+    `${escapeSvg(text)}</text>`
+  );
+}
+
+// The chart's alt text is its description, read from the data
+function svgDocument(options, body) {
+  const title = options.title || "Chart";
+  const label = options.description || title;
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" class="report-chart" ` +
+    `width="${options.width}" height="${options.height}" ` +
+    `viewBox="0 0 ${options.width} ${options.height}" role="img" ` +
+    `aria-label="${escapeSvg(label)}" font-family="${CHART_FONT}" ` +
+    `font-size="${options.fontSize}">` +
+    `<title>${escapeSvg(title)}</title>` +
+    `<desc>${escapeSvg(label)}</desc>${body}</svg>`
+  );
+}
+
+// Lays legend entries out in rows across the chart width and returns the
+// markup with the height it needs
+function renderLegend(entries, options, top) {
+  const swatch = options.fontSize * 0.85;
+  const rowHeight = options.fontSize * 1.6;
+  let x = 0;
+  let row = 0;
+  const placed = entries.map((entry) => {
+    const width = swatch + 6 + textWidth(entry.label, options.fontSize) + 16;
+    if (x > 0 && x + width > options.width) {
+      x = 0;
+      row++;
+    }
+    const item = { ...entry, x, row, width };
+    x += width;
+    return item;
+  });
+  const rows = placed.length ? row + 1 : 0;
+  // Centre each row under the chart
+  const offsets = Array.from({ length: rows }, (_, index) => {
+    const used = placed
+      .filter((item) => item.row === index)
+      .reduce((sum, item) => sum + item.width, -16);
+    return Math.max(0, (options.width - used) / 2);
+  });
+  const svg = placed
+    .map((item) => {
+      const x = item.x + offsets[item.row];
+      const y = top + item.row * rowHeight;
+      return (
+        `<rect x="${svgNumber(x)}" y="${svgNumber(y)}" ` +
+        `width="${svgNumber(swatch)}" height="${svgNumber(swatch)}" ` +
+        `fill="${item.color}"/>` +
+        svgText(x + swatch + 6, y + swatch - 1, item.label, options)
+      );
+    })
+    .join("");
+  return { svg, height: rows * rowHeight };
+}
+
+// Horizontal grid lines with value labels on the left axis
+function renderValueAxis(plot, max, options) {
+  const ticks = 4;
+  let svg = "";
+  for (let index = 0; index <= ticks; index++) {
+    const value = (max / ticks) * index;
+    const y = plot.top + plot.height - (plot.height / ticks) * index;
+    svg +=
+      `<line x1="${svgNumber(plot.left)}" y1="${svgNumber(y)}" ` +
+      `x2="${svgNumber(plot.left + plot.width)}" y2="${svgNumber(y)}" ` +
+      `stroke="${options.gridColor}" stroke-width="1"` +
+      `${index === 0 ? "" : ' stroke-dasharray="3,3"'}/>` +
+      svgText(
+        plot.left - 6,
+        y + options.fontSize * 0.35,
+        formatChartValue(value, options.unit),
+        options,
+        'text-anchor="end"',
+      );
+  }
+  return svg;
+}
+
+function chartSeries(options) {
+  const keys = options.series || [options.valueKey];
+  return keys.map((key, index) => ({
+    key,
+    label: (options.seriesLabels || [])[index] || key,
+    color: options.colors[index % options.colors.length],
+  }));
+}
+
+function renderBarChart(items, options, histogram = false) {
+  const rows = Array.isArray(items) ? items : [];
+  const series = chartSeries(options);
+  const legend =
+    options.legend && series.length > 1
+      ? renderLegend(series, options, 4)
+      : { svg: "", height: 0 };
+  const values = rows.map((row) =>
+    series.map((entry) => chartValue(row[entry.key])),
+  );
+  const largest = Math.max(
+    0,
+    ...values.map((rowValues) =>
+      options.stacked
+        ? rowValues.reduce((sum, value) => sum + value, 0)
+        : Math.max(0, ...rowValues),
+    ),
+  );
+  const max = niceChartMax(largest, options);
+  const axisWidth =
+    textWidth(formatChartValue(max, options.unit), options.fontSize) + 10;
+  const labelHeight = options.fontSize * (options.detailKey ? 3.8 : 2.6);
+  const plot = {
+    left: axisWidth,
+    top: legend.height + options.fontSize * 1.8,
+    width: options.width - axisWidth - 4,
+  };
+  plot.height = options.height - plot.top - labelHeight;
+  const groupWidth = rows.length ? plot.width / rows.length : plot.width;
+  const groupPadding = histogram ? 0 : groupWidth * 0.15;
+  const barWidth = options.stacked
+    ? groupWidth - groupPadding * 2
+    : (groupWidth - groupPadding * 2) / series.length;
+  const scale = (value) => (Math.min(value, max) / max) * plot.height;
+  const baseline = plot.top + plot.height;
+
+  let bars = "";
+  rows.forEach((row, rowIndex) => {
+    const groupLeft = plot.left + groupWidth * rowIndex + groupPadding;
+    let stackTop = baseline;
+    values[rowIndex].forEach((value, seriesIndex) => {
+      const height = scale(value);
+      const x = options.stacked
+        ? groupLeft
+        : groupLeft + barWidth * seriesIndex;
+      const y = options.stacked ? stackTop - height : baseline - height;
+      if (height > 0) {
+        bars +=
+          `<rect x="${svgNumber(x)}" y="${svgNumber(y)}" ` +
+          `width="${svgNumber(Math.max(barWidth - (histogram ? 1 : 2), 1))}" ` +
+          `height="${svgNumber(height)}" ` +
+          `fill="${series[seriesIndex].color}"/>`;
+      }
+      if (options.valueLabels) {
+        if (!options.stacked) {
+          const raw = row[series[seriesIndex].key];
+          bars += svgText(
+            x + barWidth / 2,
+            y - 4,
+            raw === null ? "*" : formatChartValue(value, options.unit),
+            options,
+            'text-anchor="middle"',
+          );
+        } else if (height >= options.fontSize * 1.2) {
+          bars += svgText(
+            x + barWidth / 2,
+            y + height / 2 + options.fontSize * 0.35,
+            formatChartValue(value, options.unit),
+            { ...options, textColor: "#ffffff" },
+            'text-anchor="middle"',
+          );
+        }
+      }
+      stackTop = y;
+    });
+    if (options.stacked && options.valueLabels) {
+      const total = values[rowIndex].reduce((sum, value) => sum + value, 0);
+      bars += svgText(
+        groupLeft + barWidth / 2,
+        stackTop - 4,
+        formatChartValue(total, options.unit),
+        options,
+        'text-anchor="middle" font-weight="bold"',
+      );
+    }
+    const lines = wrapChartLabel(
+      row[options.labelKey],
+      groupWidth,
+      options.fontSize,
+    );
+    if (options.detailKey && row[options.detailKey] !== undefined) {
+      lines.push(String(row[options.detailKey]));
+    }
+    lines.forEach((line, lineIndex) => {
+      bars += svgText(
+        plot.left + groupWidth * (rowIndex + 0.5),
+        baseline + options.fontSize * (1.3 + lineIndex * 1.15),
+        line,
+        options,
+        'text-anchor="middle"',
+      );
+    });
+  });
+
+  return svgDocument(
+    options,
+    legend.svg + renderValueAxis(plot, max, options) + bars,
+  );
+}
+
+function describeArc(cx, cy, outer, inner, start, end) {
+  const point = (radius, angle) =>
+    `${svgNumber(cx + radius * Math.cos(angle))} ` +
+    `${svgNumber(cy + radius * Math.sin(angle))}`;
+  const large = end - start > Math.PI ? 1 : 0;
+  if (inner <= 0) {
+    return (
+      `M ${cx} ${cy} L ${point(outer, start)} ` +
+      `A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} Z`
+    );
+  }
+  return (
+    `M ${point(outer, start)} ` +
+    `A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} ` +
+    `L ${point(inner, end)} ` +
+    `A ${inner} ${inner} 0 ${large} 0 ${point(inner, start)} Z`
+  );
+}
+
+function renderPieChart(items, options) {
+  const rows = (Array.isArray(items) ? items : []).map((row, index) => ({
+    label: row[options.labelKey],
+    value: chartValue(row[options.valueKey]),
+    color: options.colors[index % options.colors.length],
+  }));
+  const total = rows.reduce((sum, row) => sum + row.value, 0);
+  const legendWidth = options.legend
+    ? Math.max(
+        0,
+        ...rows.map(
+          (row) =>
+            textWidth(
+              `${row.label} ${formatChartValue(100, "%")}`,
+              options.fontSize,
+            ) + options.fontSize * 2,
+        ),
+      )
+    : 0;
+  const size = Math.min(options.width - legendWidth, options.height);
+  const radius = size / 2 - 4;
+  const inner = options.donut ? radius * 0.58 : 0;
+  const cx = size / 2;
+  const cy = options.height / 2;
+
+  let slices = "";
+  if (total <= 0) {
+    slices +=
+      `<circle cx="${cx}" cy="${cy}" r="${svgNumber(radius)}" fill="none" ` +
+      `stroke="${options.gridColor}" stroke-width="2"/>` +
+      svgText(cx, cy, "No data", options, 'text-anchor="middle"');
+  }
+  let angle = -Math.PI / 2;
+  rows.forEach((row) => {
+    if (total <= 0 || row.value <= 0) return;
+    const sweep = (row.value / total) * Math.PI * 2;
+    if (row.value >= total) {
+      // A single slice cannot be drawn as an arc, so draw the whole disc
+      slices +=
+        inner > 0
+          ? `<circle cx="${cx}" cy="${cy}" ` +
+            `r="${svgNumber((radius + inner) / 2)}" fill="none" ` +
+            `stroke="${row.color}" ` +
+            `stroke-width="${svgNumber(radius - inner)}"/>`
+          : `<circle cx="${cx}" cy="${cy}" r="${svgNumber(radius)}" ` +
+            `fill="${row.color}"/>`;
+    } else {
+      const path = describeArc(cx, cy, radius, inner, angle, angle + sweep);
+      slices +=
+        `<path d="${path}" ` +
+        `fill="${row.color}" stroke="#000000" stroke-width="1"/>`;
+    }
+    if (options.valueLabels && sweep >= 0.4) {
+      const middle = angle + sweep / 2;
+      const labelRadius = inner > 0 ? (radius + inner) / 2 : radius * 0.62;
+      slices += svgText(
+        cx + labelRadius * Math.cos(middle),
+        cy + labelRadius * Math.sin(middle) + options.fontSize * 0.35,
+        formatChartValue((row.value / total) * 100, "%"),
+        { ...options, textColor: "#ffffff" },
+        'text-anchor="middle" font-weight="bold"',
+      );
+    }
+    angle += sweep;
+  });
+
+  let legend = "";
+  if (options.legend) {
+    const swatch = options.fontSize * 0.85;
+    const rowHeight = options.fontSize * 1.7;
+    const top = cy - (rows.length * rowHeight) / 2;
+    rows.forEach((row, index) => {
+      const y = top + index * rowHeight;
+      const share = total > 0 ? (row.value / total) * 100 : 0;
+      legend +=
+        `<rect x="${svgNumber(size + 12)}" y="${svgNumber(y)}" ` +
+        `width="${svgNumber(swatch)}" height="${svgNumber(swatch)}" ` +
+        `fill="${row.color}"/>` +
+        svgText(
+          size + 18 + swatch,
+          y + swatch - 1,
+          `${row.label} ${formatChartValue(share, "%")}`,
+          options,
+        );
+    });
+  }
+
+  return svgDocument(options, slices + legend);
+}
+
+// Diverging bars centred on the neutral point: the first half of the
+// categories extends left, the second half right, and a middle category
+// of an odd-sized scale is split across the centre line. Takes either one
+// distribution ([{ category, percentage }]) or rows that each hold one
+// under `items`.
+function likertRows(items, options) {
+  const list = Array.isArray(items) ? items : [];
+  return list.length && Array.isArray(list[0][options.itemsKey])
+    ? list.map((row) => ({
+        label: row[options.labelKey],
+        cells: row[options.itemsKey],
+      }))
+    : [{ label: "", cells: list }];
+}
+
+function renderLikertChart(items, options) {
+  const rows = likertRows(items, options);
+  const categories = rows[0].cells.map((cell) => cell[options.categoryKey]);
+  const negative = Math.floor(categories.length / 2);
+  const neutral = categories.length % 2 === 1 ? negative : -1;
+  const positive = categories.length - negative - (neutral === -1 ? 0 : 1);
+  const colors = [
+    ...(negative ? LIKERT_NEGATIVE_COLORS.slice(-negative) : []),
+    ...(neutral === -1 ? [] : [LIKERT_NEUTRAL_COLOR]),
+    ...LIKERT_POSITIVE_COLORS.slice(0, positive),
+  ];
+  while (colors.length < categories.length) colors.push(LIKERT_NEUTRAL_COLOR);
+
+  const sides = rows.map((row) => {
+    const values = row.cells.map((cell) => chartValue(cell[options.valueKey]));
+    const half = neutral === -1 ? 0 : values[neutral] / 2;
+    return {
+      values,
+      left: values.slice(0, negative).reduce((sum, v) => sum + v, 0) + half,
+      right:
+        values
+          .slice(neutral === -1 ? negative : negative + 1)
+          .reduce((sum, v) => sum + v, 0) + half,
+    };
+  });
+  const extent = niceChartMax(
+    Math.max(0, ...sides.map((side) => Math.max(side.left, side.right))),
+    { ...options, unit: "" },
+  );
+  const axisMax = options.unit === "%" ? Math.min(extent, 100) : extent;
+
+  const legend = options.legend
+    ? renderLegend(
+        categories.map((category, index) => ({
+          label: category,
+          color: colors[index],
+        })),
+        options,
+        4,
+      )
+    : { svg: "", height: 0 };
+
+  const labelWidth = rows.some((row) => row.label)
+    ? Math.min(options.width * 0.3, 140)
+    : 0;
+  const plot = {
+    left: labelWidth + 8,
+    top: legend.height + options.fontSize * 0.8,
+    width: options.width - labelWidth - 16,
+  };
+  plot.height = options.height - plot.top - options.fontSize * 2;
+  const centre = plot.left + plot.width / 2;
+  const scale = plot.width / 2 / axisMax;
+  const rowHeight = Math.min(plot.height / rows.length, 56);
+  const barHeight = rowHeight * 0.62;
+
+  let svg = "";
+  [-1, -0.5, 0, 0.5, 1].forEach((fraction) => {
+    const x = centre + fraction * (plot.width / 2);
+    svg +=
+      `<line x1="${svgNumber(x)}" y1="${svgNumber(plot.top)}" ` +
+      `x2="${svgNumber(x)}" ` +
+      `y2="${svgNumber(plot.top + rowHeight * rows.length)}" ` +
+      `stroke="${fraction === 0 ? options.textColor : options.gridColor}" ` +
+      `stroke-width="1"${fraction === 0 ? "" : ' stroke-dasharray="3,3"'}/>` +
+      svgText(
+        x,
+        plot.top + rowHeight * rows.length + options.fontSize * 1.3,
+        formatChartValue(Math.abs(fraction) * axisMax, options.unit),
+        options,
+        'text-anchor="middle"',
+      );
+  });
+
+  rows.forEach((row, rowIndex) => {
+    const y = plot.top + rowHeight * rowIndex + (rowHeight - barHeight) / 2;
+    const segments = [];
+    let x = centre - sides[rowIndex].left * scale;
+    sides[rowIndex].values.forEach((value, index) => {
+      segments.push({ x, width: value * scale, value, color: colors[index] });
+      x += value * scale;
+    });
+    segments.forEach((segment) => {
+      if (segment.width <= 0) return;
+      svg +=
+        `<rect x="${svgNumber(segment.x)}" y="${svgNumber(y)}" ` +
+        `width="${svgNumber(segment.width)}" ` +
+        `height="${svgNumber(barHeight)}" fill="${segment.color}"/>`;
+      const label = formatChartValue(segment.value, options.unit);
+      if (
+        options.valueLabels &&
+        segment.width >= textWidth(label, options.fontSize) + 4
+      ) {
+        svg += svgText(
+          segment.x + segment.width / 2,
+          y + barHeight / 2 + options.fontSize * 0.35,
+          label,
+          { ...options, textColor: "#ffffff" },
+          'text-anchor="middle"',
+        );
+      }
+    });
+    if (labelWidth) {
+      wrapChartLabel(row.label, labelWidth, options.fontSize).forEach(
+        (line, lineIndex, lines) => {
+          svg += svgText(
+            labelWidth,
+            y +
+              barHeight / 2 +
+              options.fontSize * (0.35 + (lineIndex - (lines.length - 1) / 2)),
+            line,
+            options,
+            'text-anchor="end"',
+          );
+        },
+      );
+    }
+  });
+
+  return svgDocument(options, legend.svg + svg);
+}
+
+// One line per row; each row holds its points under `values` (numbers or
+// objects read with valueKey) and the x-axis labels come from `labels`
+function lineChartData(items, options) {
+  const xLabels = (Array.isArray(options.labels) ? options.labels : [])
+    .map((label) =>
+      label && typeof label === "object" ? label[options.labelKey] : label,
+    )
+    .map((label) => String(label === undefined ? "" : label));
+  const series = (Array.isArray(items) ? items : []).map((row, index) => ({
+    label: row[options.labelKey],
+    color: options.colors[index % options.colors.length],
+    values: (row[options.valuesKey] || []).map((point) =>
+      point && typeof point === "object"
+        ? point[options.valueKey] === null ||
+          point[options.valueKey] === undefined
+          ? null
+          : chartValue(point[options.valueKey])
+        : point === null || point === undefined
+          ? null
+          : chartValue(point),
+    ),
+  }));
+  return { xLabels, series };
+}
+
+function renderLineChart(items, options) {
+  const { xLabels, series } = lineChartData(items, options);
+  const points = Math.max(
+    xLabels.length,
+    ...series.map((entry) => entry.values.length),
+  );
+  const largest = Math.max(
+    0,
+    ...series.map((entry) =>
+      Math.max(0, ...entry.values.filter((value) => value !== null)),
+    ),
+  );
+  const max = niceChartMax(largest, options);
+  const legend = options.legend
+    ? renderLegend(series, options, 4)
+    : { svg: "", height: 0 };
+  const axisWidth =
+    textWidth(formatChartValue(max, options.unit), options.fontSize) + 10;
+  const plot = {
+    left: axisWidth,
+    top: legend.height + options.fontSize * 1.8,
+    width: options.width - axisWidth - options.fontSize * 2,
+  };
+  plot.height = options.height - plot.top - options.fontSize * 2.6;
+  const xFor = (index) =>
+    points <= 1
+      ? plot.left + plot.width / 2
+      : plot.left + (plot.width / (points - 1)) * index;
+  const yFor = (value) =>
+    plot.top + plot.height - (Math.min(value, max) / max) * plot.height;
+  // With many lines only the last point is labelled to keep labels apart
+  const labelEvery = series.length <= 3;
+
+  let svg = renderValueAxis(plot, max, options);
+  xLabels.forEach((label, index) => {
+    wrapChartLabel(
+      label,
+      points > 1 ? plot.width / (points - 1) : plot.width,
+      options.fontSize,
+    ).forEach((line, lineIndex) => {
+      svg += svgText(
+        xFor(index),
+        plot.top + plot.height + options.fontSize * (1.3 + lineIndex * 1.15),
+        line,
+        options,
+        'text-anchor="middle"',
+      );
+    });
+  });
+  series.forEach((entry) => {
+    const drawn = entry.values
+      .map((value, index) => ({ value, index }))
+      .filter((point) => point.value !== null);
+    if (drawn.length > 1) {
+      svg +=
+        `<polyline fill="none" stroke="${entry.color}" stroke-width="2" ` +
+        `points="${drawn
+          .map(
+            (point) =>
+              `${svgNumber(xFor(point.index))},` +
+              `${svgNumber(yFor(point.value))}`,
+          )
+          .join(" ")}"/>`;
+    }
+    drawn.forEach((point, position) => {
+      svg +=
+        `<circle cx="${svgNumber(xFor(point.index))}" ` +
+        `cy="${svgNumber(yFor(point.value))}" r="3.5" ` +
+        `fill="${entry.color}"/>`;
+      if (
+        options.valueLabels &&
+        (labelEvery || position === drawn.length - 1)
+      ) {
+        svg += svgText(
+          xFor(point.index),
+          yFor(point.value) - 7,
+          formatChartValue(point.value, options.unit),
+          options,
+          'text-anchor="middle"',
+        );
+      }
+    });
+  });
+
+  return svgDocument(options, legend.svg + svg);
+}
+
+// ============= CHART DATA TABLES =============
+// Every chart can also be read as a table: { rowHeading, columns, rows:
+// [{ label, cells }] } with the cells already formatted. The table gives
+// the chart its alt text and, in accessible output, is printed under it.
+
+function chartText(value) {
+  return String(value === undefined || value === null ? "" : value);
+}
+
+function chartHeading(key) {
+  const text = chartText(key);
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Bar, histogram, pie and donut charts: one row per item, one column per
+// series plus the detail label
+function seriesChartTable(items, options) {
+  const series = chartSeries(options);
+  const { detailKey } = options;
+  const columns = series.map((entry) => chartHeading(entry.label));
+  if (detailKey) columns.push(chartHeading(detailKey));
+  return {
+    rowHeading: chartHeading(options.labelKey),
+    columns,
+    rows: (Array.isArray(items) ? items : []).map((row) => ({
+      label: row[options.labelKey],
+      cells: [
+        ...series.map((entry) => chartTableValue(row[entry.key], options.unit)),
+        ...(detailKey ? [chartText(row[detailKey])] : []),
+      ],
+    })),
+  };
+}
+
+function likertChartTable(items, options) {
+  const rows = likertRows(items, options).filter((row) => row.cells.length);
+  return {
+    rowHeading: "",
+    columns: rows.length
+      ? rows[0].cells.map((cell) => cell[options.categoryKey])
+      : [],
+    rows: rows.map((row) => ({
+      label: chartText(row.label) || "Responses",
+      cells: row.cells.map((cell) =>
+        chartTableValue(cell[options.valueKey], options.unit),
+      ),
+    })),
+  };
+}
+
+function lineChartTable(items, options) {
+  const { xLabels, series } = lineChartData(items, options);
+  const points = Math.max(
+    xLabels.length,
+    ...series.map((entry) => entry.values.length),
+  );
+  const columns = Array.from(
+    { length: points },
+    (_, index) => xLabels[index] || `Point ${index + 1}`,
+  );
+  return {
+    rowHeading: chartHeading(options.labelKey),
+    columns,
+    rows: series.map((entry) => ({
+      label: entry.label,
+      cells: columns.map((_, index) =>
+        entry.values[index] === null || entry.values[index] === undefined
+          ? "No data"
+          : formatChartValue(entry.values[index], options.unit),
+      ),
+    })),
+  };
+}
+
+// Alt text from the data, e.g. "Expected and achieved growth in teamwork.
+// Moderate: Expected 45%, Achieved 50%."
+function describeChart(table, options) {
+  const title = options.title || "Chart";
+  if (!table.rows.length) return `${title}: no data.`;
+  const rows = table.rows.map((row) => {
+    const values = row.cells
+      .map((cell, index) =>
+        table.columns.length > 1
+          ? `${chartText(table.columns[index])} ${cell}`
+          : cell,
+      )
+      .join(", ");
+    return row.label ? `${row.label}: ${values}` : values;
+  });
+  return `${title}. ${rows.join(". ")}.`;
+}
+
+function renderChartTable(table, options) {
+  const cell = (tag, value, scope) =>
+    `<${tag}${scope ? ` scope="${scope}"` : ""}>` +
+    `${escapeSvg(value)}</${tag}>`;
+  const head =
+    (table.rowHeading ? cell("th", table.rowHeading, "col") : "<td></td>") +
+    table.columns.map((column) => cell("th", column, "col")).join("");
+  const body = table.rows
+    .map(
+      (row) =>
+        `<tr>${cell("th", row.label, "row")}` +
+        `${row.cells.map((value) => cell("td", value)).join("")}</tr>`,
+    )
+    .join("");
+  const caption = options.title
+    ? `<caption>${escapeSvg(options.title)}</caption>`
+    : "";
+  return (
+    `<table class="chart-data">${caption}` +
+    `<thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+  );
+}
+
+// Handlebars helpers, shared by the built-in templates and the sandbox
+// custom templates compile in
+const TEMPLATE_HELPERS = {
+  gt: function (a, b) {
+    return a > b;
+  },
+  multiply: function (a, b) {
+    return a * b;
+  },
+  eq: function (a, b) {
+    return a === b;
+  },
+};
+
+// Chart helpers return SVG markup; use them with triple braces
+const CHART_HELPERS = {
+  barChart: (items, options) => renderBarChart(items, options),
+  histogram: (items, options) => renderBarChart(items, options, true),
+  pieChart: (items, options) => renderPieChart(items, options),
+  donutChart: (items, options) =>
+    renderPieChart(items, { ...options, donut: true }),
+  likertChart: (items, options) => renderLikertChart(items, options),
+  lineChart: (items, options) => renderLineChart(items, options),
+};
+const CHART_TABLES = {
+  barChart: seriesChartTable,
+  histogram: seriesChartTable,
+  pieChart: seriesChartTable,
+  donutChart: seriesChartTable,
+  likertChart: likertChartTable,
+  lineChart: lineChartTable,
+};
+
+// Charts default to the report's branding colors, and accessible reports
+// print each chart's data table under it
+function reportChartDefaults(root) {
+  const { branding, accessible } = root || {};
+  const defaults = { dataTable: accessible === true };
+  if (!branding) return defaults;
+  return {
+    ...defaults,
+    colors: branding.chartColors.palette,
+    textColor: branding.colors.muted,
+  };
+}
+
+Object.entries(CHART_HELPERS).forEach(([name, render]) => {
+  TEMPLATE_HELPERS[name] = function (items, options) {
+    const defaults = reportChartDefaults(options.data && options.data.root);
+    const chartOpts = chartOptions(options.hash, defaults);
+    const table = CHART_TABLES[name](items, chartOpts);
+    const svg = render(items, {
+      ...chartOpts,
+      description: describeChart(table, chartOpts),
+    });
+    return new handlebars.SafeString(
+      chartOpts.dataTable
+        ? `<figure class="chart-figure">${svg}` +
+            `${renderChartTable(table, chartOpts)}</figure>`
+        : svg,
+    );
+  };
+});
+
+// Register Handlebars helpers
+Object.entries(TEMPLATE_HELPERS).forEach(([name, helper]) => {
+  handlebars.registerHelper(name, helper);
+});
+
+// ============= CUSTOM TEMPLATES =============
+// Admins can upload their own report templates and shared partials
+// (header, footer, chart blocks) in place of the files in ./templates.
+// Every upload is a new version in reportTemplates:
+//   { kind: "template" | "partial", name, reportType (templates only),
+//     version, source, notes, errors, active, createdAt, createdBy }
+// At most one version of a name is active; activating an older version
+// rolls back to it. templateAssignments picks the template a report type
+// uses for an experience or a college (the experience's
+// experience.college in expInstanceData):
+//   { reportType, scope: "experience" | "college", scopeId, templateName }
+// An experience's assignment wins over its college's, and without either
+// the definition's own file is used. Custom templates compile in their own
+// Handlebars environment that only knows TEMPLATE_HELPERS and the built-in
+// block helpers. They may only print charts and the server-built
+// TRUSTED_RAW_FIELDS unescaped, and what they render is checked again
+// before it is previewed or printed.
+
+const TEMPLATE_KINDS = ["template", "partial"];
+const TEMPLATE_SCOPES = ["experience", "college"];
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z][\w-]{0,63}$/;
+const MAX_TEMPLATE_SIZE = 512 * 1024;
+const MAX_TEMPLATE_NOTES = 500;
+const CONTEXT_BLOCK_HELPERS = ["each", "with"];
+
+const templateSandbox = handlebars.create();
+templateSandbox.unregisterHelper("log");
+Object.entries(TEMPLATE_HELPERS).forEach(([name, helper]) => {
+  templateSandbox.registerHelper(name, helper);
+});
+const SANDBOX_COMPILE_OPTIONS = {
+  knownHelpers: {
+    ...Object.fromEntries(
+      Object.keys(TEMPLATE_HELPERS).map((name) => [name, true]),
+    ),
+    log: false,
+  },
+  knownHelpersOnly: true,
+};
+
+function compileSandboxed(source) {
+  return templateSandbox.compile(source, SANDBOX_COMPILE_OPTIONS);
+}
+
+// A custom template ({ source, partials }) rendered in the sandbox
+function renderTemplateSource(template, templateData) {
+  const partials = {};
+  Object.entries(template.partials || {}).forEach(([name, source]) => {
+    partials[name] = compileSandboxed(source);
+  });
+  return compileSandboxed(template.source)(templateData, { partials });
+}
+
+function isTemplateHelper(path) {
+  return (
+    path.type === "PathExpression" &&
+    !path.data &&
+    path.parts.length === 1 &&
+    Object.prototype.hasOwnProperty.call(templateSandbox.helpers, path.parts[0])
+  );
+}
+
+// Top-level fields built by the server that templates print with {{{ }}}
+const TRUSTED_RAW_FIELDS = ["logoBase64", "branding.css"];
+
+// Rendered HTML without the TRUSTED_RAW_FIELDS values, for the markup
+// checks: branding.css imports the branding's web fonts
+function withoutTrustedFields(html, data) {
+  return TRUSTED_RAW_FIELDS.reduce((text, field) => {
+    const value = field
+      .split(".")
+      .reduce((object, key) => (object ? object[key] : undefined), data);
+    return typeof value === "string" && value
+      ? text.split(value).join("")
+      : text;
+  }, html);
+}
+
+// Whether a {{{ }}} (or {{& }}) expression prints markup the server made:
+// a chart, whose helper escapes its labels, or a TRUSTED_RAW_FIELDS field.
+// Any other field could carry a student's answer into the page unescaped.
+function isTrustedRawOutput(node, depth) {
+  const { path } = node;
+  if (path.type !== "PathExpression") return false;
+  if (isTemplateHelper(path)) {
+    return Object.prototype.hasOwnProperty.call(CHART_HELPERS, path.parts[0]);
+  }
+  if (node.params.length || (node.hash && node.hash.pairs.length)) {
+    return false;
+  }
+  const parts = path.data
+    ? path.parts[0] === "root" && path.parts.slice(1)
+    : depth - path.depth === 0 && path.parts;
+  return Boolean(parts) && TRUSTED_RAW_FIELDS.includes(parts.join("."));
+}
+
+// Partials a template includes, the data paths it reads from the top
+// level of the template data (paths outside #each/#with blocks, and @root
+// paths anywhere) and where it prints anything else unescaped
+function templateReferences(ast) {
+  const paths = [];
+  const partials = new Set();
+  const unescaped = [];
+
+  const visitExpression = (node, depth) => {
+    if (!node) return;
+    if (node.type === "SubExpression") {
+      visitCall(node, depth);
+    } else if (node.type === "PathExpression" && node.parts.length) {
+      if (node.data) {
+        if (node.parts[0] === "root" && node.parts.length > 1) {
+          paths.push({ parts: node.parts.slice(1), loc: node.loc });
+        }
+      } else if (depth - node.depth === 0) {
+        paths.push({ parts: node.parts, loc: node.loc });
+      }
+    }
+  };
+  const visitCall = (node, depth) => {
+    const hash = node.hash ? node.hash.pairs : [];
+    if (!node.params.length && !hash.length && !isTemplateHelper(node.path)) {
+      visitExpression(node.path, depth);
+    }
+    node.params.forEach((param) => visitExpression(param, depth));
+    hash.forEach((pair) => visitExpression(pair.value, depth));
+  };
+  const visitProgram = (program, depth) => {
+    if (program) program.body.forEach((node) => visitStatement(node, depth));
+  };
+  const visitStatement = (node, depth) => {
+    if (node.type === "MustacheStatement") {
+      if (!node.escaped && !isTrustedRawOutput(node, depth)) {
+        unescaped.push(node.loc);
+      }
+      visitCall(node, depth);
+    } else if (node.type === "BlockStatement") {
+      visitCall(node, depth);
+      // {{#each}}, {{#with}} and blocks over a data field get a new context
+      const changesContext =
+        !isTemplateHelper(node.path) ||
+        CONTEXT_BLOCK_HELPERS.includes(node.path.original);
+      visitProgram(node.program, changesContext ? depth + 1 : depth);
+      visitProgram(node.inverse, depth);
+    } else if (
+      node.type === "PartialStatement" ||
+      node.type === "PartialBlockStatement"
+    ) {
+      if (node.name.type === "PathExpression") {
+        partials.add(node.name.original);
+      }
+      node.params.forEach((param) => visitExpression(param, depth));
+      (node.hash ? node.hash.pairs : []).forEach((pair) =>
+        visitExpression(pair.value, depth),
+      );
+      visitProgram(node.program, depth);
+    }
+  };
+
+  visitProgram(ast, 0);
+  return { paths, partials: [...partials], unescaped };
+}
+
+// The first part of a path the data does not have, or null. Paths into
+// lists and empty values cannot be checked past that point.
+function findMissingField(data, parts) {
+  let value = data;
+  for (let index = 0; index < parts.length; index++) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return null;
+    }
+    if (!Object.prototype.hasOwnProperty.call(value, parts[index])) {
+      return parts.slice(0, index + 1).join(".");
+    }
+    value = value[parts[index]];
+  }
+  return null;
+}
+
+// Template data of a report with no responses: every field the report
+// type produces, to check the fields a template reads
+function sampleTemplateData(definition) {
+  const cover = templateCoverData({
+    definition,
+    sessionDisplay: "Session",
+    experienceDisplay: "Experience",
+    instructorName: "Instructor",
+  });
+  if (definition.compare) {
+    return {
+      ...cover,
+      sessions: [],
+      privacy: summarizePrivacy(resolvePrivacy(definition), []),
+      distributionComparisons: [],
+      metricComparisons: [],
+      growthComparisons: [],
+    };
+  }
+
+  const sources = { registrations: [] };
+  Object.keys(definition.sources || {}).forEach((name) => {
+    sources[name] = [];
+  });
+  return {
+    ...cover,
+    ...buildReportData(definition, sources),
+    dataQuality: checkDataQuality(definition, sources),
+  };
+}
+
+async function loadActivePartials(db) {
+  const docs = await db
+    .collection("reportTemplates")
+    .find({ kind: "partial", active: true })
+    .toArray();
+  const partials = {};
+  docs.forEach((doc) => {
+    partials[doc.name] = doc.source;
+  });
+  return partials;
+}
+
+// An opening tag up to one of its attributes; quoted values may hold ">"
+const OPEN_TAG = String.raw`<[a-z](?:[^>"']|"[^"]*"|'[^']*')*?`;
+const EXTERNAL_URL = String.raw`["']?\s*(?:https?:)?\/\/`;
+const EVENT_HANDLER_ATTRIBUTE = new RegExp(
+  String.raw`${OPEN_TAG}\son\w+\s*=`,
+  "i",
+);
+const JAVASCRIPT_ATTRIBUTE = new RegExp(
+  String.raw`${OPEN_TAG}=\s*["']?\s*javascript:`,
+  "i",
+);
+const EXTERNAL_ATTRIBUTE = new RegExp(
+  String.raw`\b(?:href|src|srcset|poster|background)\s*=\s*${EXTERNAL_URL}`,
+  "i",
+);
+// Style elements and attributes that import a stylesheet or load a url()
+const EXTERNAL_STYLE = new RegExp(
+  String.raw`(?:<style\b[^>]*>(?:(?!<\/style)[\s\S])*?|` +
+    String.raw`\sstyle\s*=\s*(?:"[^"]*?|'[^']*?))` +
+    String.raw`(?:@import|url\(\s*${EXTERNAL_URL})`,
+  "i",
+);
+
+// Markup that can run script or pull something in from outside the report.
+// Attributes only count inside tags, so text such as "one = two" passes.
+// Returns what was found, or null.
+function findUnsafeMarkup(text) {
+  if (/<script/i.test(text)) return "scripts";
+  if (/<foreignObject/i.test(text)) return "foreignObject elements";
+  if (EVENT_HANDLER_ATTRIBUTE.test(text)) return "event handler attributes";
+  if (JAVASCRIPT_ATTRIBUTE.test(text)) return "javascript: links";
+  if (/<!ENTITY/i.test(text)) return "entity declarations";
+  if (EXTERNAL_ATTRIBUTE.test(text) || EXTERNAL_STYLE.test(text)) {
+    return "external references";
+  }
+  return null;
+}
+
+// Templates are printed by Chromium and shown in the preview, so on top of
+// that they may not embed other documents or redirect
+function findUnsafeTemplate(html) {
+  if (/<(?:i?frame|object|embed|applet)\b/i.test(html)) {
+    return "iframe, object or embed elements";
+  }
+  if (/<meta\b[^>]*http-equiv\s*=\s*["']?\s*refresh/i.test(html)) {
+    return "meta refresh";
+  }
+  return findUnsafeMarkup(html);
+}
+
+// Check a template against the sandbox and the report's data shape.
+// Returns { fatal } when it cannot be compiled at all, contains unsafe
+// markup or prints data fields unescaped, else { errors }; a version with
+// errors cannot be activated.
+// Partials are only checked for syntax, helpers and the partials they
+// include, since their data depends on where they are used. Templates are
+// also rendered with sample data, which catches markup assembled from
+// expressions.
+async function validateTemplateSource(db, { kind, reportType, source }) {
+  const unsafe = findUnsafeTemplate(source);
+  if (unsafe) {
+    return { fatal: `Templates may not contain ${unsafe}` };
+  }
+  let ast;
+  try {
+    ast = templateSandbox.parse(source);
+    templateSandbox.precompile(source, SANDBOX_COMPILE_OPTIONS);
+  } catch (error) {
+    return { fatal: error.message };
+  }
+
+  const references = templateReferences(ast);
+  if (references.unescaped.length) {
+    const [loc] = references.unescaped;
+    return {
+      fatal:
+        `Line ${loc ? loc.start.line : "?"}: {{{ }}} may only print charts, ` +
+        TRUSTED_RAW_FIELDS.join(" and "),
+    };
+  }
+
+  const errors = [];
+  const partials = await loadActivePartials(db);
+  references.partials.forEach((name) => {
+    if (!partials[name]) errors.push(`Partial "${name}" has no active version`);
+  });
+  if (kind !== "template") {
+    // Without data only the markup a partial always prints is checked
+    try {
+      const rendered = findUnsafeTemplate(
+        renderTemplateSource({ source, partials }, {}),
+      );
+      if (rendered) errors.push(`The rendered partial contains ${rendered}`);
+    } catch {
+      // Rendering needs the data of the template it is used in
+    }
+    return { errors };
+  }
+
+  const definition = getReportDefinition(reportType);
+  const sample = sampleTemplateData(definition);
+  const reported = new Set();
+  references.paths.forEach(({ parts, loc }) => {
+    const missing = findMissingField(sample, parts);
+    if (!missing || reported.has(missing)) return;
+    reported.add(missing);
+    errors.push(
+      `Line ${loc ? loc.start.line : "?"}: the ${reportType} report has ` +
+        `no field "${missing}"`,
+    );
+  });
+  if (!errors.length) {
+    try {
+      const html = renderTemplateSource({ source, partials }, sample);
+      const rendered = findUnsafeTemplate(withoutTrustedFields(html, sample));
+      if (rendered) errors.push(`The rendered report contains ${rendered}`);
+    } catch (error) {
+      errors.push(`Rendering failed: ${error.message}`);
+    }
+  }
+  return { errors };
+}
+
+function parseTemplateUpload(body) {
+  const { kind, name, reportType, source, notes } = body || {};
+  if (!TEMPLATE_KINDS.includes(kind)) {
+    return { error: `kind must be one of ${TEMPLATE_KINDS.join(", ")}` };
+  }
+  if (typeof name !== "string" || !TEMPLATE_NAME_PATTERN.test(name)) {
+    return {
+      error:
+        "name must start with a letter and contain only letters, digits, " +
+        "- and _",
+    };
+  }
+  if (kind === "template" && !getReportDefinition(reportType)) {
+    return { error: "Unknown report type" };
+  }
+  if (typeof source !== "string" || !source.trim()) {
+    return { error: "source is required" };
+  }
+  if (Buffer.byteLength(source, "utf8") > MAX_TEMPLATE_SIZE) {
+    return { error: `source must be at most ${MAX_TEMPLATE_SIZE} bytes` };
+  }
+  if (notes !== undefined && typeof notes !== "string") {
+    return { error: "notes must be text" };
+  }
+  return {
+    kind,
+    name,
+    reportType: kind === "template" ? reportType : null,
+    source,
+    notes: (notes || "").trim().slice(0, MAX_TEMPLATE_NOTES),
+  };
+}
+
+function toTemplateVersion(doc, includeSource = false) {
+  const version = {
+    kind: doc.kind,
+    name: doc.name,
+    reportType: doc.reportType,
+    version: doc.version,
+    notes: doc.notes,
+    errors: doc.errors || [],
+    active: Boolean(doc.active),
+    createdAt: doc.createdAt,
+    createdBy: doc.createdBy,
+    activatedAt: doc.activatedAt || null,
+    activatedBy: doc.activatedBy || null,
+  };
+  if (includeSource) version.source = doc.source;
+  return version;
+}
+
+async function findTemplateVersion(db, kind, name, version) {
+  return db
+    .collection("reportTemplates")
+    .findOne({ kind, name, version: Number(version) });
+}
+
+async function findExperienceCollege(db, experienceId) {
+  const instance = await db
+    .collection("expInstanceData")
+    .findOne({ "experience.id": experienceId });
+  const experience = (instance && instance.experience) || {};
+  return experience.college ? String(experience.college) : null;
+}
+
+async function findTemplateAssignment(db, reportType, experienceId) {
+  const assignments = db.collection("templateAssignments");
+  const byExperience = await assignments.findOne({
+    reportType,
+    scope: "experience",
+    scopeId: String(experienceId),
+  });
+  if (byExperience) return byExperience;
+  const college = await findExperienceCollege(db, experienceId);
+  if (!college) return null;
+  return assignments.findOne({
+    reportType,
+    scope: "college",
+    scopeId: college,
+  });
+}
+
+// The template a report renders with: { file } for the definition's own
+// template, or { name, version, source, partials } for a custom one.
+// `preview` (a stored version) stands in for the assigned template or for
+// one of its partials.
+async function resolveReportTemplate(
+  db,
+  definition,
+  experienceId,
+  preview = null,
+) {
+  let template = preview && preview.kind === "template" ? preview : null;
+  if (!template) {
+    const assignment = await findTemplateAssignment(
+      db,
+      definition.id,
+      experienceId,
+    );
+    if (assignment) {
+      template = await db.collection("reportTemplates").findOne({
+        kind: "template",
+        name: assignment.templateName,
+        active: true,
+      });
+    }
+  }
+  if (!template) {
+    // Definitions without their own template use the generic section layout
+    return { file: definition.template || "generic_report.hbs" };
+  }
+
+  const partials = await loadActivePartials(db);
+  if (preview && preview.kind === "partial") {
+    partials[preview.name] = preview.source;
+  }
+  return {
+    name: template.name,
+    version: template.version,
+    source: template.source,
+    partials,
+  };
+}
+
+// Templates and partials with their latest and active versions
+app.get("/api/templates", requireRole("admin"), async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const docs = await db
+      .collection("reportTemplates")
+      .find({})
+      .project({ source: 0 })
+      .toArray();
+    const byName = new Map();
+    docs.forEach((doc) => {
+      const id = `${doc.kind}:${doc.name}`;
+      const entry = byName.get(id) || {
+        kind: doc.kind,
+        name: doc.name,
+        reportType: doc.reportType,
+        latestVersion: 0,
+        activeVersion: null,
+        updatedAt: null,
+      };
+      if (doc.version > entry.latestVersion) {
+        entry.latestVersion = doc.version;
+        entry.updatedAt = doc.createdAt;
+      }
+      if (doc.active) entry.activeVersion = doc.version;
+      byName.set(id, entry);
+    });
+    const entries = [...byName.values()].sort((a, b) =>
+      a.name.localeCompare(b.name),
+    );
+    return res.json({
+      templates: entries.filter((entry) => entry.kind === "template"),
+      partials: entries.filter((entry) => entry.kind === "partial"),
+      helpers: Object.keys(templateSandbox.helpers)
+        .filter((helper) => !helper.endsWith("Missing"))
+        .sort(),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load templates",
+      details: error.message,
+    });
+  }
+});
+
+// Upload a new version; it stays inactive until it is activated
+app.post("/api/templates", requireRole("admin"), async (req, res) => {
+  const upload = parseTemplateUpload(req.body);
+  if (upload.error) {
+    return res.status(400).json({ error: upload.error });
+  }
+  const { kind, name, reportType } = upload;
+
+  try {
+    const db = await getMongoDb();
+    const templates = db.collection("reportTemplates");
+    const latest = await templates.findOne(
+      { kind, name },
+      { sort: { version: -1 } },
+    );
+    if (latest && latest.reportType !== reportType) {
+      return res.status(400).json({
+        error: `Template "${name}" is for the ${latest.reportType} report`,
+      });
+    }
+
+    const validation = await validateTemplateSource(db, upload);
+    if (validation.fatal) {
+      return res.status(400).json({
+        error: "Template does not compile",
+        details: validation.fatal,
+      });
+    }
+
+    const doc = {
+      ...upload,
+      version: latest ? latest.version + 1 : 1,
+      errors: validation.errors,
+      active: false,
+      createdAt: new Date(),
+      createdBy: req.user.email,
+    };
+    await templates.insertOne(doc);
+    return res.status(201).json(toTemplateVersion(doc));
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to save template",
+      details: error.message,
+    });
+  }
+});
 
-      // Leadership Profile - with dummy data
-      const leadershipProfile = {
-        organizations: [
-          { label: "1-2", percentage: 45 },
-          { label: "3-4", percentage: 30 },
-          { label: "5+", percentage: 15 },
-          { label: "None", percentage: 10 },
-        ],
-        positions: [
-          { label: "Officer", percentage: 25 },
-          { label: "Member", percentage: 50 },
-          { label: "President", percentage: 15 },
-          { label: "None", percentage: 10 },
-        ],
-        volunteerHours: [
-          { label: "10-20", percentage: 40 },
-          { label: "20-40", percentage: 30 },
-          { label: "40+", percentage: 20 },
-          { label: "Less than 10", percentage: 10 },
-        ],
-        serviceProjects: [
-          { label: "1-2", percentage: 50 },
-          { label: "3-4", percentage: 30 },
-          { label: "5+", percentage: 20 },
-        ],
-      };
+app.get(
+  "/api/templates/:kind/:name",
+  requireRole("admin"),
+  async (req, res) => {
+    const { kind, name } = req.params;
+    try {
+      const db = await getMongoDb();
+      const docs = await db
+        .collection("reportTemplates")
+        .find({ kind, name })
+        .project({ source: 0 })
+        .sort({ version: -1 })
+        .toArray();
+      if (!docs.length) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+      return res.json({
+        kind,
+        name,
+        versions: docs.map((doc) => toTemplateVersion(doc)),
+      });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to load template",
+        details: error.message,
+      });
+    }
+  },
+);
 
-      // Research Profile - with dummy data
-      const researchProfile = {
-        projects: [
-          { label: "1", percentage: 40 },
-          { label: "2", percentage: 30 },
-          { label: "3+", percentage: 20 },
-          { label: "None", percentage: 10 },
-        ],
-        publications: [
-          { label: "None", percentage: 70 },
-          { label: "1", percentage: 20 },
-          { label: "2+", percentage: 10 },
-        ],
-        presentations: [
-          { label: "None", percentage: 60 },
-          { label: "1-2", percentage: 30 },
-          { label: "3+", percentage: 10 },
-        ],
-        posters: [
-          { label: "None", percentage: 65 },
-          { label: "1-2", percentage: 25 },
-          { label: "3+", percentage: 10 },
-        ],
-      };
+app.get(
+  "/api/templates/:kind/:name/versions/:version",
+  requireRole("admin"),
+  async (req, res) => {
+    const { kind, name, version } = req.params;
+    try {
+      const db = await getMongoDb();
+      const doc = await findTemplateVersion(db, kind, name, version);
+      if (!doc) {
+        return res.status(404).json({ error: "Template version not found" });
+      }
+      return res.json(toTemplateVersion(doc, true));
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to load template",
+        details: error.message,
+      });
+    }
+  },
+);
 
-      templateData = {
-        experience: experienceDisplay,
-        session: sessionDisplay,
-        instructorName,
-        generatedDate: new Date().toLocaleDateString(),
-        logoBase64,
-        totalRegistered,
-        completedStudents,
-        completionPercentage,
-        demographics,
-        generalProfile,
-        academicProfile,
-        leadershipProfile,
-        researchProfile,
-      };
-    } else {
-      // ============= GROWTH REPORT DATA =============
+// Render a stored version with the report data of the request in the body
+// (the same fields as /api/preview). A partial is shown inside the
+// template the experience is assigned.
+app.post(
+  "/api/templates/:kind/:name/versions/:version/preview",
+  requireRole("admin"),
+  async (req, res) => {
+    const { kind, name, version } = req.params;
+    try {
+      const db = await getMongoDb();
+      const doc = await findTemplateVersion(db, kind, name, version);
+      if (!doc) {
+        return res.status(404).json({ error: "Template version not found" });
+      }
 
-      // For now, growth report remains CSV-backed (existing behavior).
-      if (
-        !fs.existsSync("./data/goal_setting.csv") ||
-        !fs.existsSync("./data/entry_forms.csv") ||
-        !fs.existsSync("./data/exit_forms.csv")
-      ) {
-        return res.status(500).json({
+      const body = { ...req.body };
+      if (doc.kind === "template") body.reportType = doc.reportType;
+      const params = await authorizeReportRequest(db, {
+        user: req.user,
+        body,
+      });
+      if (params.error) {
+        return res.status(params.status).json({ error: params.error });
+      }
+
+      const template = await resolveReportTemplate(
+        db,
+        params.definition,
+        params.experienceValue,
+        doc,
+      );
+      if (template.file) {
+        return res.status(400).json({
           error:
-            "Growth report data files are missing. Configure MongoDB for growth reports or restore the CSVs.",
+            "This experience uses the built-in template for " +
+            `${params.reportType}; assign a custom template to preview ` +
+            "partials",
         });
       }
-
-      const goalData = await readCSV("./data/goal_setting.csv");
-      const entryData = await readCSV("./data/entry_forms.csv");
-      const exitData = await readCSV("./data/exit_forms.csv");
-
-      const filteredGoals = goalData.filter((row) => row.Experience === experienceValue);
-      const filteredEntry = entryData.filter((row) => row.Experience === experienceValue);
-      const filteredExit = exitData.filter((row) => row.Experience === experienceValue);
-
-      const totalRegistered = filteredEntry.length;
-      const goalSettingCompleted = filteredGoals.length;
-      const exitFormCompleted = filteredExit.length;
-      const goalSettingPercentage =
-        totalRegistered > 0
-          ? Math.round((goalSettingCompleted / totalRegistered) * 100)
-          : 0;
-      const exitFormPercentage =
-        totalRegistered > 0
-          ? Math.round((exitFormCompleted / totalRegistered) * 100)
-          : 0;
-
-      let totalGoals = 0;
-      filteredGoals.forEach((row) => {
-        if (row["Goal 1"] && row["Goal 1"].trim()) totalGoals++;
-        if (row["Goal 2"] && row["Goal 2"].trim()) totalGoals++;
-        if (row["Goal 3"] && row["Goal 3"].trim()) totalGoals++;
+      const templateData = await prepareTemplateData(db, params);
+      const html = renderReportHtml(template, templateData);
+      return res.type("html").send(html);
+    } catch (error) {
+      console.error("Template preview error:", error);
+      return res.status(500).json({
+        error: "Failed to preview template",
+        details: error.message,
       });
+    }
+  },
+);
 
-      const studentGrowth = {
-        teamwork: calculateGrowthData(
-          filteredGoals,
-          filteredExit,
-          "Teamwork Expected",
-          "Teamwork Achieved",
-        ),
-        professionalResponsibility: calculateGrowthData(
-          filteredGoals,
-          filteredExit,
-          "Professional Responsibility Expected",
-          "Professional Responsibility Achieved",
-        ),
-        effectiveCommunication: calculateGrowthData(
-          filteredGoals,
-          filteredExit,
-          "Effective Communication Expected",
-          "Effective Communication Achieved",
-        ),
-        problemSolving: calculateGrowthData(
-          filteredGoals,
-          filteredExit,
-          "Problem Solving Expected",
-          "Problem Solving Achieved",
-        ),
-        culturalHumility: calculateGrowthData(
-          filteredGoals,
-          filteredExit,
-          "Cultural Humility Expected",
-          "Cultural Humility Achieved",
-        ),
-        ethicalDecisionMaking: calculateGrowthData(
-          filteredGoals,
-          filteredExit,
-          "Ethical Decision Making Expected",
-          "Ethical Decision Making Achieved",
-        ),
-      };
+// Make one version the active one, after checking it again: the report's
+// fields and the active partials may have changed since it was uploaded
+async function activateTemplateVersion(db, doc, user) {
+  const validation = await validateTemplateSource(db, doc);
+  const errors = validation.fatal ? [validation.fatal] : validation.errors;
+  const templates = db.collection("reportTemplates");
+  if (errors.length) {
+    await templates.updateOne({ _id: doc._id }, { $set: { errors } });
+    return { errors };
+  }
 
-      const progressCategories = ["None", "Little", "Some", "Lots"];
-      const progressCounts = { None: 0, Little: 0, Some: 0, Lots: 0 };
-      filteredExit.forEach((row) => {
-        ["Goal 1 Progress", "Goal 2 Progress", "Goal 3 Progress"].forEach(
-          (field) => {
-            const value = row[field];
-            if (value && progressCounts.hasOwnProperty(value)) {
-              progressCounts[value]++;
-            }
-          },
-        );
-      });
+  const activatedAt = new Date();
+  await templates.updateMany(
+    { kind: doc.kind, name: doc.name, active: true },
+    { $set: { active: false } },
+  );
+  await templates.updateOne(
+    { _id: doc._id },
+    { $set: { active: true, errors: [], activatedAt, activatedBy: user } },
+  );
+  return {
+    version: toTemplateVersion({
+      ...doc,
+      active: true,
+      errors: [],
+      activatedAt,
+      activatedBy: user,
+    }),
+  };
+}
 
-      const totalProgressResponses =
-        Object.values(progressCounts).reduce((a, b) => a + b, 0) || 1;
-      const progressTowardsGoals = progressCategories.map((cat) => ({
-        category: cat,
-        percentage: Math.round(
-          (progressCounts[cat] / totalProgressResponses) * 100,
-        ),
-      }));
-
-      const connectionCategories = ["None", "Partly", "Largely"];
-      const connectionCounts = { None: 0, Partly: 0, Largely: 0 };
-      filteredExit.forEach((row) => {
-        ["Goal 1 Connection", "Goal 2 Connection", "Goal 3 Connection"].forEach(
-          (field) => {
-            const value = row[field];
-            if (value && connectionCounts.hasOwnProperty(value)) {
-              connectionCounts[value]++;
-            }
-          },
-        );
+app.post(
+  "/api/templates/:kind/:name/versions/:version/activate",
+  requireRole("admin"),
+  async (req, res) => {
+    const { kind, name, version } = req.params;
+    try {
+      const db = await getMongoDb();
+      const doc = await findTemplateVersion(db, kind, name, version);
+      if (!doc) {
+        return res.status(404).json({ error: "Template version not found" });
+      }
+      const result = await activateTemplateVersion(db, doc, req.user.email);
+      if (result.errors) {
+        return res.status(400).json({
+          error: "Template does not match the report's data",
+          details: result.errors,
+        });
+      }
+      return res.json(result.version);
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to activate template",
+        details: error.message,
       });
+    }
+  },
+);
 
-      const totalConnectionResponses =
-        Object.values(connectionCounts).reduce((a, b) => a + b, 0) || 1;
-      const experienceConnection = connectionCategories.map((cat) => ({
-        category: cat,
-        percentage: Math.round(
-          (connectionCounts[cat] / totalConnectionResponses) * 100,
-        ),
-      }));
+// Activate the newest version older than the active one
+app.post(
+  "/api/templates/:kind/:name/rollback",
+  requireRole("admin"),
+  async (req, res) => {
+    const { kind, name } = req.params;
+    try {
+      const db = await getMongoDb();
+      const templates = db.collection("reportTemplates");
+      const active = await templates.findOne({ kind, name, active: true });
+      if (!active) {
+        return res.status(404).json({ error: "No active version" });
+      }
+      const previous = await templates.findOne(
+        { kind, name, version: { $lt: active.version } },
+        { sort: { version: -1 } },
+      );
+      if (!previous) {
+        return res
+          .status(400)
+          .json({ error: "The active version is the oldest one" });
+      }
+      const result = await activateTemplateVersion(
+        db,
+        previous,
+        req.user.email,
+      );
+      if (result.errors) {
+        return res.status(400).json({
+          error: `Version ${previous.version} does not match the report's data`,
+          details: result.errors,
+        });
+      }
+      return res.json(result.version);
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to roll back template",
+        details: error.message,
+      });
+    }
+  },
+);
 
-      const npsFields = [
-        "Complete Minor Likelihood",
-        "Repeat Experience Likelihood",
-        "Pursue Career Likelihood",
-        "Recommend Friend Likelihood",
-      ];
+app.get("/api/template-assignments", requireRole("admin"), async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const query = {};
+    if (req.query.reportType) query.reportType = String(req.query.reportType);
+    const docs = await db
+      .collection("templateAssignments")
+      .find(query)
+      .toArray();
+    return res.json({
+      assignments: docs.map(({ _id, ...assignment }) => assignment),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load template assignments",
+      details: error.message,
+    });
+  }
+});
 
-      const netPromoterScores = npsFields.map((field, index) => {
-        const likelyCounts = filteredExit.filter(
-          (row) => row[field] === "Likely" || row[field] === "Extremely likely",
-        ).length;
-        const percentage =
-          filteredExit.length > 0
-            ? Math.round((likelyCounts / filteredExit.length) * 100)
-            : 0;
-        return { category: String.fromCharCode(65 + index), percentage };
+// Use a template for a report type in one experience or college
+app.put(
+  "/api/template-assignments/:scope/:scopeId/:reportType",
+  requireRole("admin"),
+  async (req, res) => {
+    const { scope, scopeId, reportType } = req.params;
+    const { templateName } = req.body || {};
+    if (!TEMPLATE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: `scope must be one of ${TEMPLATE_SCOPES.join(", ")}`,
       });
+    }
+    if (!getReportDefinition(reportType)) {
+      return res.status(404).json({ error: "Unknown report type" });
+    }
+    if (typeof templateName !== "string" || !templateName) {
+      return res.status(400).json({ error: "templateName is required" });
+    }
 
-      const netPromoterDescriptions = [
-        {
-          label: "A",
-          text: `${netPromoterScores[0].percentage}% of students reported they are likely to extremely likely to complete the Data & Society minor`,
-        },
-        {
-          label: "B",
-          text: `${netPromoterScores[1].percentage}% reported they are likely to extremely likely to enroll in another course/repeat the experience`,
-        },
-        {
-          label: "C",
-          text: `${netPromoterScores[2].percentage}% reported they are extremely likely to pursue a career in data science`,
-        },
-        {
-          label: "D",
-          text: `${netPromoterScores[3].percentage}% reported they are likely to extremely likely to recommend this course/experience to a friend`,
-        },
-      ];
+    try {
+      const db = await getMongoDb();
+      const active = await db.collection("reportTemplates").findOne({
+        kind: "template",
+        name: templateName,
+        active: true,
+      });
+      if (!active) {
+        return res
+          .status(400)
+          .json({ error: `Template "${templateName}" has no active version` });
+      }
+      if (active.reportType !== reportType) {
+        return res.status(400).json({
+          error:
+            `Template "${templateName}" is for the ` +
+            `${active.reportType} report`,
+        });
+      }
 
-      const activityFields = [
-        "Activity Class Discussion",
-        "Activity HPE DSI Short Course",
-        "Activity Class Presentations",
-        "Activity Weekly OneNote",
-        "Activity Peer Feedback",
-        "Activity Extra Credit",
-      ];
+      const updatedAt = new Date();
+      await db.collection("templateAssignments").updateOne(
+        { reportType, scope, scopeId },
+        { $set: { templateName, updatedAt, updatedBy: req.user.email } },
+        { upsert: true },
+      );
+      return res.json({ reportType, scope, scopeId, templateName, updatedAt });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to save template assignment",
+        details: error.message,
+      });
+    }
+  },
+);
 
-      const activitiesScores = activityFields.map((field, index) => {
-        const yesCounts = filteredExit.filter(
-          (row) => row[field] === "Yes",
-        ).length;
-        const percentage =
-          filteredExit.length > 0
-            ? Math.round((yesCounts / filteredExit.length) * 100)
-            : 0;
-        return { category: String.fromCharCode(65 + index), percentage };
+// Back to the college's template or the built-in one
+app.delete(
+  "/api/template-assignments/:scope/:scopeId/:reportType",
+  requireRole("admin"),
+  async (req, res) => {
+    const { scope, scopeId, reportType } = req.params;
+    try {
+      const db = await getMongoDb();
+      const result = await db
+        .collection("templateAssignments")
+        .deleteOne({ reportType, scope, scopeId });
+      if (!result.deletedCount) {
+        return res.status(404).json({ error: "No template assigned" });
+      }
+      return res.json({ deleted: { reportType, scope, scopeId } });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to remove template assignment",
+        details: error.message,
       });
+    }
+  },
+);
 
-      const activitiesDescriptions = [
-        {
-          label: "A",
-          text: `${activitiesScores[0].percentage}% Class discussion`,
-        },
-        {
-          label: "B",
-          text: `${activitiesScores[1].percentage}% HPE DSI Short Course`,
-        },
-        {
-          label: "C",
-          text: `${activitiesScores[2].percentage}% Class Presentations`,
-        },
-        {
-          label: "D",
-          text: `${activitiesScores[3].percentage}% Weekly OneNote check ins`,
-        },
-        {
-          label: "E",
-          text: `${activitiesScores[4].percentage}% Anonymous Peer feedback (Teammates)`,
-        },
-        {
-          label: "F",
-          text: `${activitiesScores[5].percentage}% Extra Credit Report`,
-        },
-      ];
+// ============= BRANDING =============
+// Branding profiles let other colleges and programs restyle the built-in
+// templates: logo, colors, fonts, footer text and a contact block on the
+// cover. Profiles live in brandingProfiles:
+//   { name, label, colors: { primary, accent, highlight, background,
+//     surface, text, muted }, fonts: { heading, body }, footerText,
+//     contact: { name, email, phone, website },
+//     logo: { contentType, data (base64), size } }
+// and are picked per experience or session in brandingAssignments
+// ({ scope, scopeId, profileName }). An experience's profile wins over a
+// session's; reports with neither use DEFAULT_BRANDING. Templates read the
+// profile as CSS variables (branding.css) and the chart helpers take their
+// colors from it.
 
-      const biggestLessons = filteredExit
-        .map((row) => row["Biggest Lesson Learned"])
-        .filter((val) => val && val.trim());
-      const experienceContributions = filteredExit
-        .map((row) => row["Experience Contribution"])
-        .filter((val) => val && val.trim());
-      const additionalComments = filteredExit
-        .map((row) => row["Additional Comments"])
-        .filter((val) => val && val.trim());
-
-      templateData = {
-        experience: experienceValue,
-        generatedDate: new Date().toLocaleDateString(),
-        logoBase64,
-        totalRegistered,
-        goalSettingCompleted,
-        goalSettingPercentage,
-        exitFormCompleted,
-        exitFormPercentage,
-        totalGoals,
-        studentGrowth,
-        progressTowardsGoals,
-        experienceConnection,
-        netPromoterScores,
-        netPromoterDescriptions,
-        activitiesScores,
-        activitiesDescriptions,
-        biggestLessons,
-        experienceContributions,
-        additionalComments,
-      };
+const BRANDING_SCOPES = ["experience", "session"];
+const BRANDING_NAME_PATTERN = /^[A-Za-z][\w-]{0,63}$/;
+const BRANDING_COLOR_KEYS = [
+  "primary",
+  "accent",
+  "highlight",
+  "background",
+  "surface",
+  "text",
+  "muted",
+];
+const BRANDING_CONTACT_KEYS = ["name", "email", "phone", "website"];
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+// Google Fonts family names; letters, digits and spaces only so they can go
+// straight into CSS and the font URL
+const FONT_NAME_PATTERN = /^[A-Za-z0-9 ]{1,40}$/;
+// Weights to load for fonts known to have them; other fonts load their
+// regular weight and the browser synthesizes bold
+const FONT_WEIGHTS = { Inter: "400;600;700;900" };
+const MAX_BRANDING_LABEL = 60;
+const MAX_FOOTER_TEXT = 200;
+const MAX_CONTACT_FIELD = 120;
+const MAX_LOGO_SIZE = 512 * 1024;
+const LOGO_TYPES = ["image/png", "image/jpeg", "image/svg+xml"];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a]);
+const DEFAULT_LOGO_PATH = path.join(__dirname, "assets", "logo.jfif");
+
+// The look the templates had before branding profiles
+const DEFAULT_BRANDING = {
+  name: "default",
+  label: "HPE DSI",
+  colors: {
+    primary: "#c8102e",
+    accent: "#00ced1",
+    highlight: "#ffd700",
+    background: "#000000",
+    surface: "#1a1a1a",
+    text: "#ffffff",
+    muted: "#cccccc",
+  },
+  fonts: { heading: "Bebas Neue", body: "Inter" },
+  footerText: "",
+  contact: {},
+  logo: null,
+};
+
+// Fill in whatever a stored profile leaves out from the default
+function withBrandingDefaults(profile) {
+  if (!profile) return DEFAULT_BRANDING;
+  return {
+    ...DEFAULT_BRANDING,
+    ...profile,
+    colors: { ...DEFAULT_BRANDING.colors, ...profile.colors },
+    fonts: { ...DEFAULT_BRANDING.fonts, ...profile.fonts },
+    contact: { ...profile.contact },
+  };
+}
+
+// A quoted CSS string; "<" is escaped so the text cannot close the <style>
+function cssString(text) {
+  const escaped = String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/</g, "\\3c ")
+    .replace(/[\r\n]+/g, " ");
+  return `"${escaped}"`;
+}
+
+function fontImport(font) {
+  const weights = FONT_WEIGHTS[font];
+  const family = font.replace(/ /g, "+") + (weights ? `:wght@${weights}` : "");
+  return (
+    `@import url("https://fonts.googleapis.com/css2?family=${family}` +
+    `&display=swap");`
+  );
+}
+
+// The stylesheet prelude for a profile: font imports and the --brand-*
+// variables the templates use. Every value has been validated on save.
+function brandingCss(profile) {
+  const { colors, fonts } = profile;
+  const imports = [...new Set([fonts.heading, fonts.body])].map(fontImport);
+  const variables = [
+    ...BRANDING_COLOR_KEYS.map((key) => `--brand-${key}: ${colors[key]};`),
+    `--brand-heading-font: "${fonts.heading}", Arial, sans-serif;`,
+    `--brand-body-font: "${fonts.body}", Arial, sans-serif;`,
+    `--brand-footer: ${cssString(profile.footerText || "")};`,
+  ];
+  return `${imports.join("\n")}\n:root { ${variables.join(" ")} }`;
+}
+
+function brandingLogo(profile) {
+  return profile.logo
+    ? `data:${profile.logo.contentType};base64,${profile.logo.data}`
+    : imageToBase64(DEFAULT_LOGO_PATH);
+}
+
+// What the templates see as `branding`
+function brandingTemplateData(profile) {
+  const { colors } = profile;
+  const contact = {};
+  BRANDING_CONTACT_KEYS.forEach((key) => {
+    if (profile.contact[key]) contact[key] = profile.contact[key];
+  });
+  return {
+    name: profile.name,
+    label: profile.label,
+    colors,
+    fonts: profile.fonts,
+    footerText: profile.footerText || "",
+    contact: Object.keys(contact).length ? contact : null,
+    chartColors: {
+      palette: [
+        colors.primary,
+        colors.accent,
+        colors.highlight,
+        ...CHART_PALETTE.slice(3),
+      ],
+      // Expected vs achieved in the growth charts
+      pair: [colors.highlight, colors.accent],
+    },
+    css: brandingCss(profile),
+  };
+}
+
+// The profile for a report: the experience's, then the first of its
+// sessions that has one, then the default
+async function resolveBranding(db, params) {
+  const sessionIds = (params.sessions || []).map((session) => session.value);
+  const assignments = await db
+    .collection("brandingAssignments")
+    .find({
+      $or: [
+        { scope: "experience", scopeId: params.experienceValue },
+        { scope: "session", scopeId: { $in: sessionIds } },
+      ],
+    })
+    .toArray();
+  const assignment =
+    assignments.find((doc) => doc.scope === "experience") ||
+    sessionIds
+      .map((id) => assignments.find((doc) => doc.scopeId === id))
+      .find(Boolean);
+  if (!assignment) return DEFAULT_BRANDING;
+
+  const profile = await db
+    .collection("brandingProfiles")
+    .findOne({ name: assignment.profileName });
+  return withBrandingDefaults(profile);
+}
+
+function optionalText(value, label, maxLength) {
+  if (value === undefined || value === null || value === "") {
+    return { value: "" };
+  }
+  if (typeof value !== "string") return { error: `${label} must be text` };
+  const text = value.trim();
+  if (text.length > maxLength) {
+    return { error: `${label} must be at most ${maxLength} characters` };
+  }
+  return { value: text };
+}
+
+// Validate a profile from the request body; logos are uploaded separately
+function parseBrandingProfile(body) {
+  const { label, colors = {}, fonts = {}, footerText, contact = {} } =
+    body || {};
+  const errors = [];
+
+  const labelText = optionalText(label, "label", MAX_BRANDING_LABEL);
+  if (labelText.error) errors.push(labelText.error);
+  if (!labelText.error && !labelText.value) errors.push("label is required");
+
+  const profileColors = {};
+  BRANDING_COLOR_KEYS.forEach((key) => {
+    const value = colors[key];
+    if (value === undefined || value === "") {
+      profileColors[key] = DEFAULT_BRANDING.colors[key];
+    } else if (typeof value === "string" && HEX_COLOR_PATTERN.test(value)) {
+      profileColors[key] = value.toLowerCase();
+    } else {
+      errors.push(`colors.${key} must be a hex color such as #c8102e`);
     }
+  });
 
-    // Select template based on report type
-    const templatePath =
-      reportType === "profile"
-        ? "./templates/profile_report.hbs"
-        : "./templates/growth_report.hbs";
+  const profileFonts = {};
+  ["heading", "body"].forEach((key) => {
+    const value = fonts[key];
+    if (value === undefined || value === "") {
+      profileFonts[key] = DEFAULT_BRANDING.fonts[key];
+    } else if (typeof value === "string" && FONT_NAME_PATTERN.test(value)) {
+      profileFonts[key] = value.trim().replace(/\s+/g, " ");
+    } else {
+      errors.push(
+        `fonts.${key} must be a font name of letters, digits and spaces`,
+      );
+    }
+  });
 
-    // Read and compile template
-    const templateSource = fs.readFileSync(templatePath, "utf8");
-    const template = handlebars.compile(templateSource);
-    const html = template(templateData);
+  const footer = optionalText(footerText, "footerText", MAX_FOOTER_TEXT);
+  if (footer.error) errors.push(footer.error);
 
-    // Generate PDF using Puppeteer
-    const browser = await puppeteer.launch({
-      headless: "new",
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: "networkidle0" });
+  const profileContact = {};
+  BRANDING_CONTACT_KEYS.forEach((key) => {
+    const label = `contact.${key}`;
+    const field = optionalText(contact[key], label, MAX_CONTACT_FIELD);
+    if (field.error) errors.push(field.error);
+    else if (field.value) profileContact[key] = field.value;
+  });
+  if (
+    profileContact.website &&
+    !/^https?:\/\/\S+$/i.test(profileContact.website)
+  ) {
+    errors.push("contact.website must start with http:// or https://");
+  }
 
-    const safeSession = (sessionDisplay || sessionValue || "session")
-      .replace(/[^\w\-]+/g, "-")
-      .toLowerCase();
-    const safeExperience = (experienceDisplay || experienceValue || "experience")
-      .replace(/[^\w\-]+/g, "-")
-      .toLowerCase();
-    const fileName = `${reportType}_${safeSession}_${safeExperience}.pdf`;
-    const filePath = path.join(__dirname, "generated_reports", fileName);
+  if (errors.length) return { errors };
+  return {
+    profile: {
+      label: labelText.value,
+      colors: profileColors,
+      fonts: profileFonts,
+      footerText: footer.value,
+      contact: profileContact,
+    },
+  };
+}
 
-    await page.pdf({
-      path: filePath,
-      format: "A4",
-      landscape: true,
-      printBackground: true,
-      margin: { top: "0mm", right: "0mm", bottom: "0mm", left: "0mm" },
-    });
+// The image type from the file's first bytes
+function detectLogoType(buffer) {
+  if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return "image/png";
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  const head = buffer.toString("utf8", 0, 1024).replace(/^\uFEFF/, "");
+  // An XML declaration, comments or a doctype may come before <svg>
+  const prolog = /^(?:\s|<\?xml[^>]*>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)*/i;
+  if (/^<svg[\s>]/i.test(head.replace(prolog, ""))) return "image/svg+xml";
+  return null;
+}
 
-    await browser.close();
+function validateLogo(buffer, declaredType) {
+  if (!buffer || !buffer.length) return "The logo file is empty";
+  const contentType = detectLogoType(buffer);
+  if (!contentType) return "Logos must be PNG, JPEG or SVG images";
+  if (declaredType !== contentType) {
+    return `The file is ${contentType} but was sent as ${declaredType}`;
+  }
+  if (contentType === "image/svg+xml") {
+    // SVG logos end up inline in the report
+    const unsafe = findUnsafeMarkup(buffer.toString("utf8"));
+    if (unsafe) return `SVG logos cannot contain ${unsafe}`;
+  }
+  return null;
+}
 
-    res.download(filePath, fileName, (err) => {
-      if (err) {
-        console.error("Download error:", err);
-      }
+// Read the logo as raw bytes whatever the content type, answering in JSON
+// when it is too large
+const readLogoBody = express.raw({ type: () => true, limit: MAX_LOGO_SIZE });
+function parseLogoUpload(req, res, next) {
+  readLogoBody(req, res, (error) => {
+    if (!error) return next();
+    if (error.type === "entity.too.large") {
+      return res.status(413).json({
+        error: `Logos must be at most ${MAX_LOGO_SIZE / 1024} KB`,
+      });
+    }
+    return res
+      .status(error.status || 400)
+      .json({ error: "Could not read the logo", details: error.message });
+  });
+}
+
+// Profiles without the logo bytes
+function toBrandingSummary(profile) {
+  const { _id, logo, ...summary } = profile;
+  return {
+    ...summary,
+    logo: logo ? { contentType: logo.contentType, size: logo.size } : null,
+  };
+}
+
+app.get("/api/branding", requireRole("admin"), async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const [profiles, assignments] = await Promise.all([
+      db.collection("brandingProfiles").find({}).toArray(),
+      db.collection("brandingAssignments").find({}).toArray(),
+    ]);
+    return res.json({
+      default: toBrandingSummary(DEFAULT_BRANDING),
+      profiles: profiles
+        .map(toBrandingSummary)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      assignments: assignments.map(({ _id, ...assignment }) => assignment),
     });
   } catch (error) {
-    console.error("Report generation error:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to generate report", details: error.message });
+    return res.status(500).json({
+      error: "Failed to load branding profiles",
+      details: error.message,
+    });
   }
 });
 
-// Register Handlebars helpers
-handlebars.registerHelper("gt", function (a, b) {
-  return a > b;
+// Create or update a profile; the logo is kept
+app.put("/api/branding/:name", requireRole("admin"), async (req, res) => {
+  const { name } = req.params;
+  if (!BRANDING_NAME_PATTERN.test(name) || name === DEFAULT_BRANDING.name) {
+    return res.status(400).json({
+      error:
+        "Profile names start with a letter and use letters, digits, " +
+        `"-" and "_" ("${DEFAULT_BRANDING.name}" is reserved)`,
+    });
+  }
+  const { errors, profile } = parseBrandingProfile(req.body);
+  if (errors) {
+    return res
+      .status(400)
+      .json({ error: "Invalid branding profile", details: errors });
+  }
+
+  try {
+    const db = await getMongoDb();
+    const updatedAt = new Date();
+    await db.collection("brandingProfiles").updateOne(
+      { name },
+      { $set: { ...profile, name, updatedAt, updatedBy: req.user.email } },
+      { upsert: true },
+    );
+    const saved = await db.collection("brandingProfiles").findOne({ name });
+    return res.json(toBrandingSummary(saved));
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to save branding profile",
+      details: error.message,
+    });
+  }
+});
+
+// Reports using a deleted profile go back to the default
+app.delete("/api/branding/:name", requireRole("admin"), async (req, res) => {
+  const { name } = req.params;
+  try {
+    const db = await getMongoDb();
+    const result = await db.collection("brandingProfiles").deleteOne({ name });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: "Branding profile not found" });
+    }
+    await db
+      .collection("brandingAssignments")
+      .deleteMany({ profileName: name });
+    return res.json({ deleted: name });
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to delete branding profile",
+      details: error.message,
+    });
+  }
 });
 
-handlebars.registerHelper("multiply", function (a, b) {
-  return a * b;
+app.get("/api/branding/:name/logo", requireStaff, async (req, res) => {
+  try {
+    const db = await getMongoDb();
+    const profile =
+      req.params.name === DEFAULT_BRANDING.name
+        ? DEFAULT_BRANDING
+        : await db
+            .collection("brandingProfiles")
+            .findOne({ name: req.params.name });
+    if (!profile) {
+      return res.status(404).json({ error: "Branding profile not found" });
+    }
+    if (!profile.logo) {
+      return res.sendFile(DEFAULT_LOGO_PATH, {
+        headers: { "Content-Type": "image/jpeg" },
+      });
+    }
+    res.set("Content-Type", profile.logo.contentType);
+    // SVG logos are shown as images only
+    res.set(
+      "Content-Security-Policy",
+      "default-src 'none'; style-src 'unsafe-inline'",
+    );
+    return res.send(Buffer.from(profile.logo.data, "base64"));
+  } catch (error) {
+    return res.status(500).json({
+      error: "Failed to load logo",
+      details: error.message,
+    });
+  }
 });
 
-app.listen(PORT, () => {
+// Upload a PNG, JPEG or SVG logo as the request body with its content type
+app.put(
+  "/api/branding/:name/logo",
+  requireRole("admin"),
+  parseLogoUpload,
+  async (req, res) => {
+    const declaredType = String(req.get("Content-Type") || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (!LOGO_TYPES.includes(declaredType)) {
+      return res.status(415).json({
+        error: `Logos must be sent as ${LOGO_TYPES.join(", ")}`,
+      });
+    }
+    const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+    const invalid = validateLogo(buffer, declaredType);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+      const db = await getMongoDb();
+      const logo = {
+        contentType: declaredType,
+        data: buffer.toString("base64"),
+        size: buffer.length,
+      };
+      const result = await db.collection("brandingProfiles").updateOne(
+        { name: req.params.name },
+        {
+          $set: { logo, updatedAt: new Date(), updatedBy: req.user.email },
+        },
+      );
+      if (!result.matchedCount) {
+        return res.status(404).json({ error: "Branding profile not found" });
+      }
+      return res.json({ contentType: logo.contentType, size: logo.size });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to save logo",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// Back to the default logo
+app.delete(
+  "/api/branding/:name/logo",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const db = await getMongoDb();
+      const result = await db.collection("brandingProfiles").updateOne(
+        { name: req.params.name },
+        {
+          $set: {
+            logo: null,
+            updatedAt: new Date(),
+            updatedBy: req.user.email,
+          },
+        },
+      );
+      if (!result.matchedCount) {
+        return res.status(404).json({ error: "Branding profile not found" });
+      }
+      return res.json({ deleted: true });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to remove logo",
+        details: error.message,
+      });
+    }
+  },
+);
+
+// Use a profile for every report of one experience or session
+app.put(
+  "/api/branding-assignments/:scope/:scopeId",
+  requireRole("admin"),
+  async (req, res) => {
+    const { scope, scopeId } = req.params;
+    const { profileName } = req.body || {};
+    if (!BRANDING_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: `scope must be one of ${BRANDING_SCOPES.join(", ")}`,
+      });
+    }
+    if (typeof profileName !== "string" || !profileName) {
+      return res.status(400).json({ error: "profileName is required" });
+    }
+
+    try {
+      const db = await getMongoDb();
+      const profile = await db
+        .collection("brandingProfiles")
+        .findOne({ name: profileName });
+      if (!profile) {
+        return res
+          .status(400)
+          .json({ error: `Branding profile "${profileName}" not found` });
+      }
+
+      const updatedAt = new Date();
+      await db.collection("brandingAssignments").updateOne(
+        { scope, scopeId },
+        { $set: { profileName, updatedAt, updatedBy: req.user.email } },
+        { upsert: true },
+      );
+      return res.json({ scope, scopeId, profileName, updatedAt });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to save branding assignment",
+        details: error.message,
+      });
+    }
+  },
+);
+
+app.delete(
+  "/api/branding-assignments/:scope/:scopeId",
+  requireRole("admin"),
+  async (req, res) => {
+    const { scope, scopeId } = req.params;
+    try {
+      const db = await getMongoDb();
+      const result = await db
+        .collection("brandingAssignments")
+        .deleteOne({ scope, scopeId });
+      if (!result.deletedCount) {
+        return res.status(404).json({ error: "No branding assigned" });
+      }
+      return res.json({ deleted: { scope, scopeId } });
+    } catch (error) {
+      return res.status(500).json({
+        error: "Failed to remove branding assignment",
+        details: error.message,
+      });
+    }
+  },
+);
+
+const server = app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+  browserPool.warmUp().catch((error) => {
+    console.error("Browser pool warm-up failed:", error);
+  });
+  startReportScheduler().catch((error) => {
+    console.error("Report scheduler failed to start:", error);
+  });
 });
+
+// Stop accepting requests and close Chromium before exiting
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+
+  server.close();
+  scheduledTasks.forEach((task, id) => unregisterReportSchedule(id));
+  try {
+    await browserPool.close();
+  } catch (error) {
+    console.error("Error closing browser pool:", error);
+  }
+  if (mongoClient) {
+    await mongoClient.close().catch(() => {});
+  }
+  process.exit(0);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+// The tests in ./test start the server in-process
+module.exports = { app, server };
@@ -0,0 +1,152 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/start-server");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer();
+  token = await app.login("admin@uh.edu");
+});
+
+after(() => app.close());
+
+const REPORTS = {
+  growth: {},
+  profile: {},
+  comparison: {
+    sessionIds: ["s1", "s2"],
+    sessionLabels: ["Fall 2025", "Spring 2026"],
+  },
+};
+
+async function generate(reportType, body = {}) {
+  const response = await app.request("POST", "/api/generate-report", {
+    token,
+    body: {
+      reportType,
+      sessionId: "s1",
+      sessionLabel: "Fall 2025",
+      experienceId: "e1",
+      experienceLabel: "HON 3397 Course",
+      instructorName: "Dr. Ada Lovelace",
+      ...REPORTS[reportType],
+      ...body,
+    },
+  });
+  assert.equal(response.status, 200, reportType);
+  return response.body;
+}
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1].trim() : null;
+};
+
+// The checks a screen reader depends on, in the order it reads the page.
+// Returns one message per problem.
+function audit(html, { accessible }) {
+  const problems = [];
+  const htmlTag = html.match(/<html\b[^>]*>/);
+  if (!htmlTag || !attribute(htmlTag[0], "lang")) {
+    problems.push("the document has no lang");
+  }
+  if (!/<title>[^<]+<\/title>/.test(html.split("<body")[0])) {
+    problems.push("the document has no title");
+  }
+
+  (html.match(/<img\b[^>]*>/g) || []).forEach((img) => {
+    if (!attribute(img, "alt")) problems.push(`image without alt text`);
+  });
+
+  const charts = html.match(/<svg\b[^>]*class="report-chart"[^>]*>/g) || [];
+  charts.forEach((svg, index) => {
+    if (attribute(svg, "role") !== "img") {
+      problems.push(`chart ${index} has no img role`);
+    }
+    if (!attribute(svg, "aria-label")) {
+      problems.push(`chart ${index} has no alt text`);
+    }
+  });
+
+  const tables = html.match(/<table class="chart-data">.*?<\/table>/gs) || [];
+  const figures =
+    html.match(/<figure class="chart-figure"><svg.*?<\/svg><table/gs) || [];
+  if (accessible) {
+    if (tables.length !== charts.length || figures.length !== charts.length) {
+      problems.push(
+        `${charts.length} charts but ${tables.length} data tables ` +
+          `(${figures.length} under their chart)`,
+      );
+    }
+    tables.forEach((table, index) => {
+      if (!/^<table class="chart-data"><caption>[^<]+</.test(table)) {
+        problems.push(`data table ${index} has no caption`);
+      }
+      if (!/<thead><tr>(?:<td><\/td>)?(?:<th scope="col">)/.test(table)) {
+        problems.push(`data table ${index} has no column headers`);
+      }
+      const rows = table.match(/<tbody>.*<\/tbody>/s)[0].match(/<tr>/g) || [];
+      const headed = table.match(/<tr><th scope="row">/g) || [];
+      if (!rows.length || headed.length !== rows.length) {
+        problems.push(`data table ${index} has rows without a header`);
+      }
+    });
+  } else if (tables.length) {
+    problems.push("data tables are printed outside accessible mode");
+  }
+
+  // Headings start at h1 and never skip a level on the way down
+  let level = 0;
+  (html.match(/<h[1-6]\b/g) || []).forEach((heading) => {
+    const next = Number(heading[2]);
+    if (next > level + 1) problems.push(`h${next} follows h${level}`);
+    level = next;
+  });
+
+  if (/>[^<]*\b(?:null|undefined|NaN)\b[^<]*</.test(html)) {
+    problems.push("a blank value is printed");
+  }
+  return problems;
+}
+
+for (const reportType of Object.keys(REPORTS)) {
+  test(`the accessible ${reportType} report passes the check`, async () => {
+    const html = (
+      await generate(reportType, { format: "html", accessible: true })
+    ).toString();
+    assert.match(html, /<body class="accessible">/);
+    assert.ok(/class="report-chart"/.test(html), "no charts to check");
+    assert.deepEqual(audit(html, { accessible: true }), []);
+  });
+
+  test(`the standard ${reportType} report keeps its alt text`, async () => {
+    const html = (await generate(reportType, { format: "html" })).toString();
+    assert.deepEqual(audit(html, { accessible: false }), []);
+  });
+}
+
+test("alt text is written from the chart data", async () => {
+  const html = (
+    await generate("growth", { format: "html", accessible: true })
+  ).toString();
+  assert.match(
+    html,
+    /aria-label="Student participation by form\. Registered: 100%\. Entry Form: 100%\. Goal Setting: 88%\. Exit Form: 88%\."/,
+  );
+});
+
+test("only accessible PDFs are tagged and get an outline", async () => {
+  await generate("growth", { accessible: true });
+  let { html, options } = app.pdfRenders.at(-1);
+  assert.equal(options.tagged, true);
+  assert.equal(options.outline, true);
+  assert.deepEqual(audit(html, { accessible: true }), []);
+
+  await generate("growth");
+  ({ html, options } = app.pdfRenders.at(-1));
+  assert.equal(options.tagged, false);
+  assert.equal(options.outline, false);
+  assert.deepEqual(audit(html, { accessible: false }), []);
+});
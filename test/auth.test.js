@@ -0,0 +1,237 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startServer } = require("./support/start-server");
+
+let app;
+const tokens = {};
+
+before(async () => {
+  app = await startServer();
+  tokens.admin = await app.login("admin@uh.edu");
+  tokens.instructor = await app.login("ada@uh.edu");
+  tokens.viewer = await app.login("viewer@uh.edu");
+});
+
+after(() => app.close());
+
+const previewBody = (experienceId, instructorName) => ({
+  reportType: "growth",
+  sessionId: "s1",
+  sessionLabel: "Fall 2025",
+  experienceId,
+  experienceLabel: experienceId,
+  instructorName,
+});
+
+test("each role logs in and gets its own session user", async () => {
+  for (const [role, email] of [
+    ["admin", "admin@uh.edu"],
+    ["instructor", "ada@uh.edu"],
+    ["viewer", "viewer@uh.edu"],
+  ]) {
+    const response = await app.request("GET", "/api/auth/me", {
+      token: tokens[role],
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.email, email);
+    assert.equal(response.body.user.role, role);
+  }
+});
+
+test("the session cookie works like the bearer token", async () => {
+  const login = await app.request("POST", "/api/auth/login", {
+    body: { email: "ADA@uh.edu", password: "pw" },
+  });
+  assert.equal(login.status, 200);
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+  assert.match(cookie, /^report_session=/);
+
+  const response = await app.request("GET", "/api/auth/me", {
+    headers: { Cookie: cookie },
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.user.experienceIds, ["e1"]);
+});
+
+test("wrong passwords, unknown users and unknown roles cannot log in", async () => {
+  const attempts = [
+    [{ email: "ada@uh.edu", password: "nope" }, 401],
+    [{ email: "nobody@uh.edu", password: "pw" }, 401],
+    [{ email: "ada@uh.edu" }, 400],
+    [{ email: "guest@uh.edu", password: "pw" }, 403],
+  ];
+  for (const [body, status] of attempts) {
+    const response = await app.request("POST", "/api/auth/login", { body });
+    assert.equal(response.status, status, JSON.stringify(body));
+    assert.equal(response.body.token, undefined);
+  }
+});
+
+test("unauthenticated calls are rejected with 401", async () => {
+  for (const [method, url] of [
+    ["GET", "/api/auth/me"],
+    ["GET", "/api/sessions"],
+    ["GET", "/api/reports/history"],
+    ["POST", "/api/preview"],
+  ]) {
+    const response = await app.request(method, url);
+    assert.equal(response.status, 401, `${method} ${url}`);
+    assert.equal(response.body.error, "Login required");
+  }
+});
+
+test("forged and expired tokens are rejected with 401", async () => {
+  const [body] = tokens.viewer.split(".");
+  const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+  const sign = (data, secret) => {
+    const encoded = Buffer.from(JSON.stringify(data)).toString("base64url");
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(encoded)
+      .digest("base64url");
+    return `${encoded}.${signature}`;
+  };
+
+  for (const token of [
+    sign({ ...payload, email: "admin@uh.edu" }, "wrong-secret"),
+    sign({ ...payload, exp: Date.now() - 1000 }, "test-secret"),
+    "not-a-token",
+  ]) {
+    const response = await app.request("GET", "/api/auth/me", { token });
+    assert.equal(response.status, 401);
+  }
+});
+
+test("viewers cannot reach staff routes", async () => {
+  for (const [method, url, body] of [
+    ["GET", "/api/sessions"],
+    ["GET", "/api/experiences?sessionId=s1"],
+    ["GET", "/api/comments"],
+    ["POST", "/api/preview", previewBody("e1", "Dr. Ada Lovelace")],
+    ["POST", "/api/schedules", {}],
+  ]) {
+    const response = await app.request(method, url, {
+      token: tokens.viewer,
+      body,
+    });
+    assert.equal(response.status, 403, `${method} ${url}`);
+  }
+
+  const history = await app.request("GET", "/api/reports/history", {
+    token: tokens.viewer,
+  });
+  assert.equal(history.status, 200);
+});
+
+test("instructors cannot reach admin routes", async () => {
+  for (const [method, url, body] of [
+    ["POST", "/api/instructors", { name: "Eve", experienceIds: ["e1"] }],
+    ["GET", "/api/templates"],
+    ["GET", "/api/branding"],
+  ]) {
+    const response = await app.request(method, url, {
+      token: tokens.instructor,
+      body,
+    });
+    assert.equal(response.status, 403, `${method} ${url}`);
+  }
+  assert.equal(
+    await app.db.collection("instructorData").countDocuments({ name: "Eve" }),
+    0,
+  );
+});
+
+test("instructors only see the experiences they teach", async () => {
+  const asAdmin = await app.request("GET", "/api/experiences?sessionId=s1", {
+    token: tokens.admin,
+  });
+  assert.deepEqual(
+    asAdmin.body.experiences.map((exp) => exp.id),
+    ["e2", "e1"],
+  );
+
+  const asInstructor = await app.request(
+    "GET",
+    "/api/experiences?sessionId=s1",
+    { token: tokens.instructor },
+  );
+  assert.deepEqual(
+    asInstructor.body.experiences.map((exp) => exp.id),
+    ["e1"],
+  );
+
+  const sessions = await app.request("GET", "/api/sessions", {
+    token: tokens.instructor,
+  });
+  assert.deepEqual(
+    sessions.body.sessions.map((session) => session.id),
+    ["s1", "s2"],
+  );
+});
+
+test("instructors cannot report on another experience", async () => {
+  const own = await app.request("POST", "/api/preview", {
+    token: tokens.instructor,
+    body: previewBody("e1", "Dr. Ada Lovelace"),
+  });
+  assert.equal(own.status, 200);
+
+  const other = await app.request("POST", "/api/preview", {
+    token: tokens.instructor,
+    body: previewBody("e2", "Dr. Alan Turing"),
+  });
+  assert.equal(other.status, 403);
+
+  const instructors = await app.request(
+    "GET",
+    "/api/instructors?experienceId=e2",
+    { token: tokens.instructor },
+  );
+  assert.equal(instructors.status, 403);
+
+  const asAdmin = await app.request("POST", "/api/preview", {
+    token: tokens.admin,
+    body: previewBody("e2", "Dr. Alan Turing"),
+  });
+  assert.equal(asAdmin.status, 200);
+});
+
+test("plain-text passwords only work with the local stand-in", async () => {
+  await app.db.collection("reportUsers").insertMany([
+    { email: "plain@uh.edu", name: "Plain", role: "admin", password: "pw" },
+    {
+      email: "hashed@uh.edu",
+      name: "Hashed",
+      role: "admin",
+      passwordHash: hashPassword("pw"),
+    },
+  ]);
+
+  process.env.AUTH_PROVIDER = "mongodb";
+  try {
+    const plain = await app.request("POST", "/api/auth/login", {
+      body: { email: "plain@uh.edu", password: "pw" },
+    });
+    assert.equal(plain.status, 401);
+
+    const hashed = await app.request("POST", "/api/auth/login", {
+      body: { email: "hashed@uh.edu", password: "pw" },
+    });
+    assert.equal(hashed.status, 200);
+
+    // users.json is not consulted either
+    const local = await app.request("POST", "/api/auth/login", {
+      body: { email: "admin@uh.edu", password: "pw" },
+    });
+    assert.equal(local.status, 401);
+  } finally {
+    process.env.AUTH_PROVIDER = "local";
+  }
+});
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${key}`;
+}
@@ -0,0 +1,136 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/start-server");
+
+let app;
+const tokens = {};
+
+before(async () => {
+  app = await startServer();
+  tokens.admin = await app.login("admin@uh.edu");
+  tokens.instructor = await app.login("ada@uh.edu");
+});
+
+after(() => app.close());
+
+// Ada teaches HON 3397 (e1); Alan teaches AI Lab (e2) in Fall 2025 (s1).
+// Comment ids are "<exit form id>:<field>"; students 0-7 are in e1/s1,
+// 8-9 in e1/s2 and 10-11 in e2/s1.
+const LESSON = "reflections.biggestLesson";
+const ADA = {
+  sessionId: "s1",
+  experienceId: "e1",
+  instructorName: "Dr. Ada Lovelace",
+};
+
+function saveDecision(id, body, token = tokens.instructor) {
+  return app.request("PUT", `/api/comments/${encodeURIComponent(id)}`, {
+    token,
+    body: { reportType: "growth", action: "hide", ...body },
+  });
+}
+
+const storedDecisions = () =>
+  app.db.collection("commentModerationData").find({}).toArray();
+
+test("instructors moderate comments of their own report", async () => {
+  const list = await app.request(
+    "GET",
+    "/api/comments?reportType=growth&sessionId=s1&experienceId=e1",
+    { token: tokens.instructor },
+  );
+  assert.equal(list.status, 200);
+  const id = `exit-0:${LESSON}`;
+  assert.ok(list.body.comments.some((comment) => comment.id === id));
+
+  const saved = await saveDecision(id, ADA);
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body.comment, { id, action: "hide" });
+
+  const [decision] = await storedDecisions();
+  assert.equal(decision.commentId, id);
+  assert.equal(decision.sessionId, "s1");
+  assert.equal(decision.experienceId, "e1");
+  assert.equal(decision.updatedBy, "ada@uh.edu");
+
+  const cleared = await saveDecision(id, { ...ADA, action: "show" });
+  assert.equal(cleared.status, 200);
+  assert.equal((await storedDecisions()).length, 0);
+});
+
+test("comments outside the named report are 404", async () => {
+  for (const id of [
+    `exit-10:${LESSON}`, // AI Lab
+    `exit-8:${LESSON}`, // HON 3397 in Spring 2026
+    "exit-0:reflections.notAField",
+    "no-such-comment",
+  ]) {
+    const response = await saveDecision(id, ADA);
+    assert.equal(response.status, 404, id);
+    assert.equal(response.body.error, "Comment not found");
+  }
+  assert.equal((await storedDecisions()).length, 0);
+});
+
+test("the report is authorized like a generate request", async () => {
+  const id = `exit-10:${LESSON}`;
+  const otherExperience = await saveDecision(id, {
+    sessionId: "s1",
+    experienceId: "e2",
+    instructorName: "Dr. Alan Turing",
+  });
+  assert.equal(otherExperience.status, 403);
+
+  const wrongInstructor = await saveDecision(`exit-0:${LESSON}`, {
+    ...ADA,
+    instructorName: "Dr. Alan Turing",
+  });
+  assert.equal(wrongInstructor.status, 400);
+  assert.equal(
+    wrongInstructor.body.error,
+    "Instructor is not assigned to this experience",
+  );
+
+  const noInstructor = await saveDecision(`exit-0:${LESSON}`, {
+    ...ADA,
+    instructorName: "",
+  });
+  assert.equal(noInstructor.status, 400);
+  assert.equal((await storedDecisions()).length, 0);
+
+  const asAdmin = await saveDecision(
+    id,
+    { sessionId: "s1", experienceId: "e2", instructorName: "Dr. Alan Turing" },
+    tokens.admin,
+  );
+  assert.equal(asAdmin.status, 200);
+  await saveDecision(
+    id,
+    {
+      sessionId: "s1",
+      experienceId: "e2",
+      instructorName: "Dr. Alan Turing",
+      action: "show",
+    },
+    tokens.admin,
+  );
+});
+
+test("an edit decision changes the report text", async () => {
+  const id = `exit-1:${LESSON}`;
+  const saved = await saveDecision(id, {
+    ...ADA,
+    action: "edit",
+    text: "Teamwork matters.",
+  });
+  assert.equal(saved.status, 200);
+
+  const list = await app.request(
+    "GET",
+    "/api/comments?reportType=growth&sessionId=s1&experienceId=e1",
+    { token: tokens.instructor },
+  );
+  const comment = list.body.comments.find((item) => item.id === id);
+  assert.equal(comment.action, "edit");
+  assert.equal(comment.editedText, "Teamwork matters.");
+});
@@ -0,0 +1,133 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./support/start-server");
+
+// The server reads a copy of the definitions, so the tests can edit them
+const definitionsDir = fs.mkdtempSync(
+  path.join(os.tmpdir(), "report-definitions-"),
+);
+fs.cpSync(path.join(__dirname, "..", "report_definitions"), definitionsDir, {
+  recursive: true,
+});
+const growthFile = path.join(definitionsDir, "growth.json");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer({ REPORT_DEFINITIONS_DIR: definitionsDir });
+  token = await app.login("admin@uh.edu");
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(definitionsDir, { recursive: true, force: true });
+});
+
+// Counts the definition files server.js reads while `run` is going
+async function countReads(run) {
+  const readFileSync = fs.readFileSync;
+  let reads = 0;
+  fs.readFileSync = function (file, ...rest) {
+    if (String(file).startsWith(definitionsDir)) reads++;
+    return readFileSync.call(this, file, ...rest);
+  };
+  try {
+    await run();
+  } finally {
+    fs.readFileSync = readFileSync;
+  }
+  return reads;
+}
+
+async function reportLabel(id) {
+  const response = await app.request("GET", "/api/report-types", { token });
+  assert.equal(response.status, 200);
+  const type = response.body.reportTypes.find((entry) => entry.id === id);
+  return type ? type.label : null;
+}
+
+// Rewrite a definition with a later mtime, so the change is seen even
+// within the file system's timestamp resolution
+let edits = 0;
+function writeDefinition(file, source) {
+  fs.writeFileSync(file, source);
+  const time = new Date(Date.now() + ++edits * 10000);
+  fs.utimesSync(file, time, time);
+}
+
+test("requests use the definitions loaded at startup", async () => {
+  const reads = await countReads(async () => {
+    assert.equal(await reportLabel("growth"), "Growth Report");
+    await app.request("POST", "/api/generate-report", {
+      token,
+      body: {
+        reportType: "growth",
+        sessionId: "s1",
+        experienceId: "e1",
+        instructorName: "Dr. Ada Lovelace",
+        format: "json",
+      },
+    });
+  });
+  assert.equal(reads, 0);
+});
+
+test("an edited definition is read again", async () => {
+  const definition = JSON.parse(fs.readFileSync(growthFile, "utf8"));
+  writeDefinition(
+    growthFile,
+    JSON.stringify({ ...definition, label: "Student Growth" }),
+  );
+
+  const fileCount = fs.readdirSync(definitionsDir).length;
+  const reads = await countReads(async () => {
+    assert.equal(await reportLabel("growth"), "Student Growth");
+    assert.equal(await reportLabel("growth"), "Student Growth");
+  });
+  assert.equal(reads, fileCount);
+});
+
+test("a broken edit keeps the last good definitions", async () => {
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (message) => errors.push(String(message));
+  try {
+    writeDefinition(growthFile, '{ "id": "growth", ');
+    assert.equal(await reportLabel("growth"), "Student Growth");
+    assert.equal(await reportLabel("profile"), "Profile Report");
+  } finally {
+    console.error = consoleError;
+  }
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Invalid report definition growth\.json/);
+});
+
+test("a definition that doesn't parse stops the server at startup", () => {
+  const brokenDir = fs.mkdtempSync(path.join(os.tmpdir(), "report-broken-"));
+  fs.writeFileSync(path.join(brokenDir, "growth.json"), "{ not json");
+  try {
+    const child = spawnSync(
+      process.execPath,
+      [
+        "-e",
+        `require(${JSON.stringify(require.resolve("./support/start-server"))})
+          .startServer({ REPORT_DEFINITIONS_DIR: ${JSON.stringify(brokenDir)} })
+          .then(() => process.exit(0))
+          .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+          });`,
+      ],
+      { encoding: "utf8", timeout: 30000 },
+    );
+    assert.equal(child.status, 1, child.stderr);
+    assert.match(child.stderr, /Invalid report definition growth\.json/);
+  } finally {
+    fs.rmSync(brokenDir, { recursive: true, force: true });
+  }
+});
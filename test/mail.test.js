@@ -0,0 +1,128 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/start-server");
+
+let app;
+let token;
+let schedule;
+
+before(async () => {
+  app = await startServer();
+  token = await app.login("ada@uh.edu");
+  const response = await app.request("POST", "/api/schedules", {
+    token,
+    body: {
+      name: "Yearly",
+      cron: "0 6 1 1 *",
+      reportType: "growth",
+      sessionId: "s1",
+      experienceId: "e1",
+      instructorName: "Dr. Ada Lovelace",
+      recipients: ["dean@uh.edu", "chair@uh.edu"],
+    },
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  schedule = response.body.schedule;
+});
+
+// A registered cron task would keep the process alive
+after(async () => {
+  await app.request("DELETE", `/api/schedules/${schedule.id}`, { token });
+  await app.close();
+});
+
+afterEach(() => {
+  app.smtp.rejectRecipient = null;
+  app.smtp.rejectMessage = null;
+});
+
+async function run() {
+  const response = await app.request(
+    "POST",
+    `/api/schedules/${schedule.id}/run`,
+    { token },
+  );
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.delivery;
+}
+
+// The entry as stored, not as the route reports it
+async function logged(delivery) {
+  const entries = await app.db
+    .collection("reportDeliveryLog")
+    .find({})
+    .toArray();
+  return entries.find((entry) => String(entry._id) === delivery.id);
+}
+
+test("reports are mailed over SMTP with the configured login", async () => {
+  const delivery = await run();
+  assert.equal(delivery.status, "success", delivery.error);
+  assert.deepEqual(delivery.rejected, []);
+
+  const message = app.smtp.messages.at(-1);
+  assert.equal(message.user, "reports");
+  assert.deepEqual(message.to, ["dean@uh.edu", "chair@uh.edu"]);
+  assert.ok(message.raw.includes(delivery.messageId));
+});
+
+test("a message the server refuses is logged as failed", async () => {
+  app.smtp.rejectMessage = "554 5.7.1 Message rejected as spam";
+  const received = app.smtp.messages.length;
+
+  const delivery = await run();
+  assert.equal(delivery.status, "failed");
+  assert.match(delivery.error, /554 5\.7\.1 Message rejected as spam/);
+  assert.equal(app.smtp.messages.length, received);
+
+  const entry = await logged(delivery);
+  assert.equal(entry.status, "failed");
+  assert.equal(entry.error, delivery.error);
+  assert.ok(entry.finishedAt >= entry.startedAt);
+
+  const list = await app.request("GET", "/api/schedules", { token });
+  const current = list.body.schedules.find((item) => item.id === schedule.id);
+  assert.equal(current.lastStatus, "failed");
+  assert.equal(current.lastError, delivery.error);
+  // Unlike a lost access, a mail problem leaves the schedule on
+  assert.equal(current.active, true);
+});
+
+test("refused recipients are logged", async () => {
+  app.smtp.rejectRecipient = (address) => address === "chair@uh.edu";
+  let delivery = await run();
+  assert.equal(delivery.status, "success", delivery.error);
+  assert.deepEqual(delivery.rejected, ["chair@uh.edu"]);
+  assert.deepEqual(app.smtp.messages.at(-1).to, ["dean@uh.edu"]);
+  assert.deepEqual((await logged(delivery)).rejected, ["chair@uh.edu"]);
+
+  app.smtp.rejectRecipient = () => true;
+  delivery = await run();
+  assert.equal(delivery.status, "failed");
+  assert.match(delivery.error, /all recipients were rejected/);
+  assert.match(delivery.error, /550 5\.1\.1/);
+  assert.equal((await logged(delivery)).status, "failed");
+});
+
+test("a login the server refuses is logged as failed", async () => {
+  const { credentials } = app.smtp;
+  app.smtp.credentials = { ...credentials, pass: "rotated" };
+  try {
+    const delivery = await run();
+    assert.equal(delivery.status, "failed");
+    assert.match(delivery.error, /535 5\.7\.8/);
+    assert.equal((await logged(delivery)).status, "failed");
+  } finally {
+    app.smtp.credentials = credentials;
+  }
+});
+
+// Last: the SMTP server does not come back
+test("an unreachable mail server is logged as failed", async () => {
+  await app.smtp.close();
+
+  const delivery = await run();
+  assert.equal(delivery.status, "failed");
+  assert.match(delivery.error, /ECONNREFUSED/);
+  assert.equal((await logged(delivery)).status, "failed");
+});
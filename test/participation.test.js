@@ -0,0 +1,175 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/start-server");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer();
+  token = await app.login("admin@uh.edu");
+
+  // Two more Fall 2025 experiences taught by Grace: Robotics (e3) with three
+  // students who mostly stopped early, and Chess (e4) with nobody registered
+  const { db } = app;
+  await db.collection("expInstanceData").insertMany([
+    {
+      _id: "i4",
+      sessionID: "s1",
+      expInstanceStatus: true,
+      experience: { id: "e3", name: "Robotics", category: "Club" },
+    },
+    {
+      _id: "i5",
+      sessionID: "s1",
+      expInstanceStatus: true,
+      experience: { id: "e4", name: "Chess", category: "Club" },
+    },
+  ]);
+  await db.collection("instructorData").insertOne({
+    name: "Dr. Grace Hopper",
+    experienceIds: ["e3", "e4"],
+    sessionIds: [],
+  });
+  await db.collection("expRegistrationData").insertMany([
+    { _id: "reg-a", expInstanceID: "i4", studentID: "student-a" },
+    { _id: "reg-b", expInstanceID: "i4", studentID: "student-b" },
+    { _id: "reg-c", expInstanceID: "i4", studentID: "student-c" },
+  ]);
+  await db.collection("studentEntryFormData").insertMany([
+    { completed: true, expRegistrationID: "reg-a", studentID: "student-a" },
+    // Started but never submitted
+    { completed: false, expRegistrationID: "reg-b", studentID: "student-b" },
+  ]);
+  // Submitted twice
+  await db.collection("goalSettingFormData").insertMany([
+    { completed: true, expRegistrationID: "reg-a", studentID: "student-a" },
+    { completed: true, expRegistrationID: "reg-a", studentID: "student-a" },
+  ]);
+  // Student b's exit form from another experience's registration
+  await db.collection("studentExitFormData").insertOne({
+    completed: true,
+    expRegistrationID: "reg-0",
+    studentID: "student-b",
+  });
+});
+
+after(() => app.close());
+
+async function participationOf(experienceId, reportType = "growth") {
+  const response = await app.request("POST", "/api/generate-report", {
+    token,
+    body: {
+      reportType,
+      sessionId: "s1",
+      experienceId,
+      instructorName:
+        experienceId === "e1" ? "Dr. Ada Lovelace" : "Dr. Grace Hopper",
+      format: "json",
+    },
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+}
+
+const funnelRows = (funnel) =>
+  funnel.map((step) => [
+    step.key,
+    step.count,
+    step.percentage,
+    step.conversion,
+  ]);
+
+test("every stage of the definition is counted in order", async () => {
+  const data = await participationOf("e1");
+
+  // 8 registered; student 3 skipped goal setting, student 4 the exit form
+  assert.equal(data.participation.total, 8);
+  assert.deepEqual(data.participation.counts, {
+    registered: 8,
+    entrySubmitted: 8,
+    goalSet: 7,
+    exitSubmitted: 7,
+  });
+  assert.deepEqual(funnelRows(data.participation.funnel), [
+    ["registered", 8, 100, 100],
+    ["entrySubmitted", 8, 100, 100],
+    ["goalSet", 7, 88, 88],
+    ["exitSubmitted", 7, 88, 100],
+  ]);
+  assert.deepEqual(
+    data.participation.funnel.map((step) => step.label),
+    ["Registered", "Entry Form", "Goal Setting", "Exit Form"],
+  );
+
+  // The summary metrics read the same counts
+  assert.equal(data.totalRegistered, 8);
+  assert.equal(data.goalSettingCompleted, 7);
+  assert.equal(data.goalSettingPercentage, 88);
+  assert.equal(data.exitFormCompleted, 7);
+  assert.equal(data.exitFormPercentage, 88);
+
+  // Per-student flags stay out of the report
+  assert.equal(data.participation.students, undefined);
+});
+
+test("every report type shares the participation model", async () => {
+  const growth = await participationOf("e1");
+  const profile = await participationOf("e1", "profile");
+  assert.deepEqual(profile.participation, growth.participation);
+});
+
+test("forms count through their expRegistrationID", async () => {
+  const { participation } = await participationOf("e3");
+
+  // Only student a submitted an entry form; b's is incomplete. a's two goal
+  // setting forms are one student. The exit form with b's studentID belongs
+  // to a registration outside Robotics, so nobody reached the exit stage.
+  assert.equal(participation.total, 3);
+  assert.deepEqual(funnelRows(participation.funnel), [
+    ["registered", 3, 100, 100],
+    ["entrySubmitted", 1, 33, 33],
+    ["goalSet", 1, 33, 100],
+    ["exitSubmitted", 0, 0, 0],
+  ]);
+
+  // The form is still counted for the experience it links to
+  const e1 = await participationOf("e1");
+  assert.equal(e1.participation.counts.exitSubmitted, 7);
+});
+
+test("a selection without registrations has an empty funnel", async () => {
+  const data = await participationOf("e4");
+
+  assert.equal(data.participation.total, 0);
+  assert.deepEqual(funnelRows(data.participation.funnel), [
+    ["registered", 0, 0, 0],
+    ["entrySubmitted", 0, 0, 0],
+    ["goalSet", 0, 0, 0],
+    ["exitSubmitted", 0, 0, 0],
+  ]);
+  assert.equal(data.goalSettingPercentage, 0);
+  assert.equal(data.exitFormPercentage, 0);
+});
+
+test("filters narrow the funnel to the matching students", async () => {
+  // Students 0, 2, 4 and 6 live on campus; 4 skipped the exit form
+  const response = await app.request("POST", "/api/generate-report", {
+    token,
+    body: {
+      reportType: "profile",
+      sessionId: "s1",
+      experienceId: "e1",
+      instructorName: "Dr. Ada Lovelace",
+      format: "json",
+      filters: { housing: ["On Campus"] },
+    },
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.deepEqual(response.body.participation.counts, {
+    registered: 4,
+    entrySubmitted: 4,
+    goalSet: 4,
+    exitSubmitted: 3,
+  });
+});
@@ -0,0 +1,156 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/start-server");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer();
+  token = await app.login("admin@uh.edu");
+});
+
+after(() => app.close());
+
+afterEach(() => {
+  delete process.env.MIN_CELL_SIZE;
+});
+
+// Fall 2025 HON 3397 has 8 registered students, 7 goal setting and 7 exit
+// forms, so the growth report's default minCellSize of 5 applies
+async function generate(format, body = {}) {
+  const response = await app.request("POST", "/api/generate-report", {
+    token,
+    body: {
+      reportType: "growth",
+      sessionId: "s1",
+      sessionLabel: "Fall 2025",
+      experienceId: "e1",
+      experienceLabel: "HON 3397 Course",
+      instructorName: "Dr. Ada Lovelace",
+      format,
+      ...body,
+    },
+  });
+  assert.equal(response.status, 200);
+  return format === "json" ? response.body : response.body.toString();
+}
+
+const COUNT_KEYS = {
+  expectedVsAchieved: ["expectedCount", "achievedCount"],
+  likert: ["count"],
+  threshold: ["count"],
+};
+
+test("no count-bearing growth chart shows a cell below minCellSize", async () => {
+  const data = await generate("json");
+  const charts = data.reportSections
+    .flatMap((section) => section.charts)
+    .filter((chart) => COUNT_KEYS[chart.type]);
+  assert.equal(charts.length, 10);
+
+  charts.forEach((chart) => {
+    chart.items.forEach((item) => {
+      COUNT_KEYS[chart.type].forEach((key) => {
+        const count = item[key];
+        assert.ok(
+          count === null || count === 0 || count >= 5,
+          `${chart.key} ${item.category} ${key} = ${count}`,
+        );
+      });
+    });
+  });
+});
+
+test("expected vs. achieved blanks small cells with their percentages", async () => {
+  const { studentGrowth, privacy } = await generate("json");
+
+  // Expected teamwork is None 2, Little 3, Moderate 2, A lot 0
+  assert.deepEqual(
+    studentGrowth.teamwork.map((item) => [
+      item.category,
+      item.expected,
+      item.expectedCount,
+    ]),
+    [
+      ["None", null, null],
+      ["Little", null, null],
+      ["Moderate", null, null],
+      ["A lot", 0, 0],
+    ],
+  );
+  // Achieved professional responsibility is "A lot" for all 7
+  assert.deepEqual(
+    studentGrowth.professionalResponsibility.map((item) => item.achieved),
+    [0, 0, 0, 100],
+  );
+
+  assert.equal(privacy.applied, true);
+  assert.equal(privacy.minCellSize, 5);
+  assert.ok(
+    privacy.charts.some((chart) => chart.path === "studentGrowth.teamwork"),
+  );
+  assert.match(privacy.note, /fewer than 5 responses are not shown/);
+});
+
+test("threshold items are blanked when either side is small", async () => {
+  const { netPromoterScores, netPromoterDescriptions, activitiesScores } =
+    await generate("json");
+
+  // Everyone is likely to complete the minor; 3 of 7 would repeat it
+  assert.equal(netPromoterScores[0].percentage, 100);
+  assert.equal(netPromoterScores[1].percentage, null);
+  assert.equal(netPromoterScores[1].count, null);
+  assert.equal(netPromoterScores[1].suppressed, true);
+  assert.match(
+    netPromoterDescriptions[1].text,
+    /^\*% reported they are likely/,
+  );
+  // Nobody presented in class, so 0% is safe to show
+  assert.equal(activitiesScores[1].percentage, 0);
+});
+
+test("likert charts are blanked below minCellSize", async () => {
+  // 7 answers each for "Some" and "Lots"
+  let { progressTowardsGoals } = await generate("json");
+  assert.deepEqual(
+    progressTowardsGoals.map((item) => item.count),
+    [0, 0, 7, 7],
+  );
+
+  process.env.MIN_CELL_SIZE = "8";
+  ({ progressTowardsGoals } = await generate("json"));
+  assert.deepEqual(
+    progressTowardsGoals.map((item) => [item.count, item.percentage]),
+    [
+      [0, 0],
+      [0, 0],
+      [null, null],
+      [null, null],
+    ],
+  );
+});
+
+test("the PDF notes the suppression and never prints blanked values", async () => {
+  const html = await generate("html", { accessible: true });
+  assert.match(html, /class="privacy-note">To protect student privacy/);
+  assert.match(html, /<td>Not shown<\/td>/);
+  assert.doesNotMatch(html, /null|NaN/);
+});
+
+test("comparisons do not add up blanked growth cells", async () => {
+  const data = await generate("json", {
+    reportType: "comparison",
+    sessionIds: ["s1", "s2"],
+    sessionLabels: ["Fall 2025", "Spring 2026"],
+  });
+  const teamwork = data.growthComparisons.find(
+    (growth) => growth.label === "Teamwork",
+  );
+  assert.deepEqual(
+    teamwork.values.map((value) => value.display),
+    ["* → *", "* → *"],
+  );
+  assert.equal(teamwork.changeLabel, "–");
+  assert.match(data.privacy.note, /Teamwork/);
+});
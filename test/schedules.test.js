@@ -0,0 +1,275 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./support/start-server");
+
+let app;
+let token;
+
+before(async () => {
+  // One report at a time, while the browser pool could render two
+  app = await startServer({ REPORT_CONCURRENCY: "1" });
+  token = await app.login("ada@uh.edu");
+});
+
+// A registered cron task would keep the process alive
+after(async () => {
+  const schedules = await app.db
+    .collection("reportSchedules")
+    .find({})
+    .toArray();
+  for (const schedule of schedules) {
+    await app.request("DELETE", `/api/schedules/${schedule._id}`, { token });
+  }
+  await app.close();
+});
+
+afterEach(() => app.onPdfRender(null));
+
+const REPORT = {
+  reportType: "growth",
+  sessionId: "s1",
+  sessionLabel: "Fall 2025",
+  experienceId: "e1",
+  experienceLabel: "HON 3397 Course",
+  instructorName: "Dr. Ada Lovelace",
+};
+
+async function createSchedule(fields) {
+  const response = await app.request("POST", "/api/schedules", {
+    token,
+    body: { ...REPORT, recipients: ["dean@uh.edu"], ...fields },
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.schedule;
+}
+
+const deliveriesOf = async (schedule) =>
+  (
+    await app.request("GET", `/api/schedules/${schedule.id}/deliveries`, {
+      token,
+    })
+  ).body.deliveries;
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test("the cron fires, generates the report, mails it and logs it", async () => {
+  // Every second; node-cron accepts a leading seconds field
+  const schedule = await createSchedule({
+    name: "Every second",
+    cron: "* * * * * *",
+  });
+
+  let delivery;
+  try {
+    delivery = await waitFor(async () =>
+      (await deliveriesOf(schedule)).find(
+        (entry) => entry.status !== "running",
+      ),
+    );
+  } finally {
+    await app.request("DELETE", `/api/schedules/${schedule.id}`, { token });
+    // Let a run that already started finish before the next test
+    await waitFor(async () =>
+      (await deliveriesOf(schedule)).every(
+        (entry) => entry.status !== "running",
+      ),
+    ).catch(() => {});
+  }
+
+  assert.equal(delivery.status, "success", delivery.error);
+  assert.equal(delivery.trigger, "schedule");
+  assert.deepEqual(delivery.recipients, ["dean@uh.edu"]);
+  assert.match(
+    delivery.fileName,
+    /^growth_fall-2025_hon-3397-course_\d+\.pdf$/,
+  );
+  assert.ok(delivery.messageId);
+  assert.ok(delivery.jobId);
+
+  const archived = await app.db
+    .collection("reportArchiveData")
+    .countDocuments({ fileName: delivery.fileName });
+  assert.equal(archived, 1);
+  assert.ok(fs.existsSync(path.join(app.reportsDir, delivery.fileName)));
+
+  const message = app.smtp.messages.find((received) =>
+    received.raw.includes(delivery.messageId),
+  );
+  assert.ok(message, "the SMTP server did not receive the delivery");
+  assert.equal(message.user, "reports");
+  assert.deepEqual(message.to, ["dean@uh.edu"]);
+  const mail = message.raw;
+  assert.match(mail, /^To: dean@uh\.edu$/m);
+  assert.match(
+    mail,
+    /^Subject: Growth Report: HON 3397 Course \(Fall 2025\)$/m,
+  );
+  assert.match(mail, /^Content-Type: application\/pdf;\s+name=growth_/m);
+  assert.ok(mail.includes(`filename=${delivery.fileName}`));
+});
+
+test("failed runs are logged and a retry logs a new attempt", async () => {
+  const schedule = await createSchedule({
+    name: "Yearly",
+    cron: "0 6 1 1 *",
+  });
+  const run = () =>
+    app.request("POST", `/api/schedules/${schedule.id}/run`, { token });
+
+  // The instructor no longer teaches the experience
+  const instructors = app.db.collection("instructorData");
+  await instructors.updateOne(
+    { name: "Dr. Ada Lovelace" },
+    { $set: { experienceIds: ["e2"] } },
+  );
+  let response = await run();
+  assert.equal(response.status, 200);
+  assert.equal(response.body.delivery.status, "failed");
+  assert.equal(
+    response.body.delivery.error,
+    "Instructor is not assigned to this experience",
+  );
+  await instructors.updateOne(
+    { name: "Dr. Ada Lovelace" },
+    { $set: { experienceIds: ["e1"] } },
+  );
+
+  // Rendering fails inside the report queue
+  app.onPdfRender(async () => {
+    throw new Error("Chromium crashed");
+  });
+  response = await run();
+  assert.equal(response.body.delivery.status, "failed");
+  assert.equal(response.body.delivery.error, "Chromium crashed");
+  app.onPdfRender(null);
+
+  response = await run();
+  assert.equal(response.body.delivery.status, "success");
+
+  const deliveries = await deliveriesOf(schedule);
+  assert.deepEqual(
+    deliveries.map((entry) => [entry.trigger, entry.status, entry.error]),
+    [
+      ["manual", "success", null],
+      ["manual", "failed", "Chromium crashed"],
+      ["manual", "failed", "Instructor is not assigned to this experience"],
+    ],
+  );
+  deliveries.forEach((entry) => {
+    assert.ok(new Date(entry.finishedAt) >= new Date(entry.startedAt));
+  });
+
+  const list = await app.request("GET", "/api/schedules", { token });
+  const entry = list.body.schedules.find((item) => item.id === schedule.id);
+  assert.equal(entry.lastStatus, "success");
+  assert.equal(entry.lastError, null);
+
+  await app.request("DELETE", `/api/schedules/${schedule.id}`, { token });
+});
+
+test("a schedule is disabled when its creator loses access", async () => {
+  const adminToken = await app.login("admin@uh.edu");
+  const revoked = await createSchedule({ name: "Revoked", cron: "0 6 1 1 *" });
+  const removed = await createSchedule({ name: "Removed", cron: "0 6 1 1 *" });
+  const run = (schedule) =>
+    app.request("POST", `/api/schedules/${schedule.id}/run`, {
+      token: adminToken,
+    });
+  const rendersBefore = app.pdfRenders.length;
+
+  // Ada's record changes in the identity store after she set them up
+  const usersFile = process.env.AUTH_USERS_FILE;
+  const users = JSON.parse(fs.readFileSync(usersFile, "utf8"));
+  const usersDir = fs.mkdtempSync(path.join(os.tmpdir(), "report-users-"));
+  const writeUsers = (list) =>
+    fs.writeFileSync(path.join(usersDir, "users.json"), JSON.stringify(list));
+  process.env.AUTH_USERS_FILE = path.join(usersDir, "users.json");
+  try {
+    writeUsers(
+      users.map((user) =>
+        user.email === "ada@uh.edu" ? { ...user, experienceIds: ["e2"] } : user,
+      ),
+    );
+    let response = await run(revoked);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.delivery.status, "failed");
+    assert.equal(
+      response.body.delivery.error,
+      "ada@uh.edu no longer has access to this experience; " +
+        "the schedule was disabled",
+    );
+
+    writeUsers(users.filter((user) => user.email !== "ada@uh.edu"));
+    response = await run(removed);
+    assert.equal(response.body.delivery.status, "failed");
+    assert.equal(
+      response.body.delivery.error,
+      "ada@uh.edu can no longer create reports; the schedule was disabled",
+    );
+  } finally {
+    process.env.AUTH_USERS_FILE = usersFile;
+    fs.rmSync(usersDir, { recursive: true, force: true });
+  }
+
+  // Nothing was generated, and both stay off until someone turns them on
+  assert.equal(app.pdfRenders.length, rendersBefore);
+  const list = await app.request("GET", "/api/schedules", { token });
+  for (const schedule of [revoked, removed]) {
+    const entry = list.body.schedules.find((item) => item.id === schedule.id);
+    assert.equal(entry.active, false);
+    assert.equal(entry.lastStatus, "failed");
+    assert.equal((await deliveriesOf(schedule)).length, 1);
+    await app.request("DELETE", `/api/schedules/${schedule.id}`, { token });
+  }
+});
+
+test("scheduled runs wait in the report queue", async () => {
+  const schedule = await createSchedule({
+    name: "Yearly",
+    cron: "0 6 1 1 *",
+  });
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  app.onPdfRender(() => gate);
+  const rendersBefore = app.pdfRenders.length;
+
+  const queued = await app.request("POST", "/api/reports", {
+    token,
+    body: REPORT,
+  });
+  assert.equal(queued.status, 202);
+  await waitFor(() => app.pdfRenders.length === rendersBefore + 1);
+
+  const run = app.request("POST", `/api/schedules/${schedule.id}/run`, {
+    token,
+  });
+  await waitFor(async () => (await deliveriesOf(schedule)).length === 1);
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  // REPORT_CONCURRENCY is 1, so the scheduled report has not started
+  assert.equal(app.pdfRenders.length, rendersBefore + 1);
+
+  release();
+  const response = await run;
+  assert.equal(response.body.delivery.status, "success");
+  assert.equal(app.pdfRenders.length, rendersBefore + 2);
+
+  const job = await app.request("GET", `/api/reports/${queued.body.jobId}`, {
+    token,
+  });
+  assert.equal(job.body.job.status, "done");
+
+  await app.request("DELETE", `/api/schedules/${schedule.id}`, { token });
+});
@@ -0,0 +1,234 @@
+// In-memory stand-in for the parts of the mongodb driver server.js uses:
+// MongoClient, ObjectId, and collections with find/findOne (plus project,
+// sort and limit), insert, update (upsert, $set, $push, $inc) and delete.
+// Queries support plain and dotted fields, arrays, $in, $nin, $ne,
+// $exists, $gt/$gte/$lt/$lte, $regex, $or and $and.
+const { ObjectId } = require("mongodb");
+
+// Documents go in and come out as copies, like they would over the wire
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (
+    !value ||
+    typeof value !== "object" ||
+    value instanceof ObjectId ||
+    value instanceof Date ||
+    Buffer.isBuffer(value)
+  ) {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, clone(item)]),
+  );
+}
+
+function getPath(doc, key) {
+  return key.split(".").reduce((value, part) => {
+    if (value === undefined || value === null) return undefined;
+    if (Array.isArray(value) && Number.isNaN(Number(part))) {
+      return value.map((item) => (item ? item[part] : undefined)).flat();
+    }
+    return value[part];
+  }, doc);
+}
+
+function setPath(doc, key, value) {
+  const parts = key.split(".");
+  let target = doc;
+  parts.slice(0, -1).forEach((part) => {
+    if (!target[part] || typeof target[part] !== "object") target[part] = {};
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function sameValue(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return String(a) === String(b);
+  }
+  if (a instanceof Date && b instanceof Date) return +a === +b;
+  return a === b;
+}
+
+function isOperatorObject(condition) {
+  return (
+    condition &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof ObjectId) &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).some((key) => key.startsWith("$"))
+  );
+}
+
+function matchesValue(value, condition) {
+  const values = Array.isArray(value) ? value : [value];
+  if (!isOperatorObject(condition)) {
+    return values.some((item) => sameValue(item, condition));
+  }
+  return Object.entries(condition).every(([operator, argument]) => {
+    switch (operator) {
+      case "$in":
+        return values.some((item) => argument.some((a) => sameValue(item, a)));
+      case "$nin":
+        return !values.some((item) => argument.some((a) => sameValue(item, a)));
+      case "$ne":
+        return !values.some((item) => sameValue(item, argument));
+      case "$exists":
+        return (value !== undefined) === Boolean(argument);
+      case "$gt":
+        return value > argument;
+      case "$gte":
+        return value >= argument;
+      case "$lt":
+        return value < argument;
+      case "$lte":
+        return value <= argument;
+      case "$regex":
+        return new RegExp(argument, condition.$options || "").test(value);
+      case "$options":
+        return true;
+      default:
+        throw new Error(`memory-mongodb does not support ${operator}`);
+    }
+  });
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    return matchesValue(getPath(doc, key), condition);
+  });
+}
+
+function createCursor(docs) {
+  let results = docs;
+  const cursor = {
+    project: () => cursor,
+    sort(spec) {
+      const entries = Object.entries(spec);
+      results = [...results].sort((a, b) => {
+        for (const [key, direction] of entries) {
+          const left = getPath(a, key);
+          const right = getPath(b, key);
+          if (left > right) return direction;
+          if (left < right) return -direction;
+        }
+        return 0;
+      });
+      return cursor;
+    },
+    limit(count) {
+      if (count) results = results.slice(0, count);
+      return cursor;
+    },
+    skip(count) {
+      results = results.slice(count);
+      return cursor;
+    },
+    toArray: async () => results.map(clone),
+  };
+  return cursor;
+}
+
+function applyUpdate(doc, update) {
+  Object.entries(update.$set || {}).forEach(([key, value]) =>
+    setPath(doc, key, value),
+  );
+  Object.entries(update.$push || {}).forEach(([key, value]) => {
+    const list = getPath(doc, key) || [];
+    setPath(doc, key, [...list, value]);
+  });
+  Object.entries(update.$inc || {}).forEach(([key, value]) => {
+    setPath(doc, key, (getPath(doc, key) || 0) + value);
+  });
+}
+
+function createCollection() {
+  const collection = {
+    docs: [],
+    find: (query) =>
+      createCursor(collection.docs.filter((d) => matches(d, query))),
+    async findOne(query, options = {}) {
+      const cursor = collection.find(query);
+      if (options.sort) cursor.sort(options.sort);
+      return (await cursor.toArray())[0] || null;
+    },
+    async insertOne(doc) {
+      if (doc._id === undefined) doc._id = new ObjectId();
+      collection.docs.push(clone(doc));
+      return { insertedId: doc._id };
+    },
+    async insertMany(docs) {
+      const insertedIds = [];
+      for (const doc of docs) {
+        insertedIds.push((await collection.insertOne(doc)).insertedId);
+      }
+      return { insertedIds };
+    },
+    async countDocuments(query) {
+      return collection.docs.filter((doc) => matches(doc, query)).length;
+    },
+    async updateOne(query, update, options = {}) {
+      let doc = collection.docs.find((item) => matches(item, query));
+      if (!doc && options.upsert) {
+        doc = {};
+        Object.entries(query).forEach(([key, value]) => {
+          if (!key.startsWith("$") && !isOperatorObject(value)) {
+            setPath(doc, key, value);
+          }
+        });
+        applyUpdate(doc, update);
+        await collection.insertOne(doc);
+        return { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id };
+      }
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      applyUpdate(doc, update);
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    async updateMany(query, update) {
+      const docs = collection.docs.filter((doc) => matches(doc, query));
+      docs.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: docs.length, modifiedCount: docs.length };
+    },
+    async deleteOne(query) {
+      const index = collection.docs.findIndex((doc) => matches(doc, query));
+      if (index !== -1) collection.docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    async deleteMany(query) {
+      const before = collection.docs.length;
+      collection.docs = collection.docs.filter((doc) => !matches(doc, query));
+      return { deletedCount: before - collection.docs.length };
+    },
+  };
+  return collection;
+}
+
+function createDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection());
+      return collections.get(name);
+    },
+  };
+}
+
+// Every client shares one database, so tests can seed and inspect it
+const memoryDb = createDb();
+
+class MongoClient {
+  async connect() {
+    return this;
+  }
+
+  db() {
+    return memoryDb;
+  }
+
+  async close() {}
+}
+
+module.exports = { MongoClient, ObjectId, memoryDb };
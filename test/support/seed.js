@@ -0,0 +1,170 @@
+// Test data: two sessions, two experiences and their students' forms.
+//   Fall 2025 (s1): HON 3397 Course (e1) with 8 students, AI Lab (e2) with 2
+//   Spring 2026 (s2): HON 3397 Course (e1) with 2 students
+// Student n skips the goal setting form when n is 3 and the exit form when
+// n % 5 is 4, so the participation funnel narrows.
+const GROWTH_LEVELS = ["None", "Little", "Moderate", "A lot"];
+
+const INSTANCES = [
+  { _id: "i1", sessionID: "s1", experienceId: "e1", students: 8 },
+  { _id: "i2", sessionID: "s2", experienceId: "e1", students: 2 },
+  { _id: "i3", sessionID: "s1", experienceId: "e2", students: 2 },
+];
+
+const EXPERIENCES = {
+  e1: { id: "e1", name: "HON 3397", category: "Course" },
+  e2: { id: "e2", name: "AI", category: "Lab" },
+};
+
+function entryForm(n, registrationId, studentId) {
+  return {
+    _id: `entry-${n}`,
+    completed: true,
+    expRegistrationID: registrationId,
+    studentID: studentId,
+    studentInformation: {
+      firstName: `Student${n}`,
+      lastName: "Test",
+      email: `student${n}@uh.edu`,
+      enrolledUHInfo: {
+        majors: n % 2 ? ["Computer Science"] : ["Biology", "Math"],
+        honorsMinors: ["Data & Society"],
+        otherMinors: n % 3 ? [] : ["Statistics"],
+        expectedGraduationYear: 2025 + (n % 3),
+        livingOnCampus: n % 2 === 0,
+        honorsCollegeAffiliatedStatus: n % 4 !== 0,
+        gpa: 2.4 + n * 0.13,
+        creditHours: 9 + n,
+      },
+      communityServiceInfo: {
+        serviceStatus: n % 2 === 0,
+        volunteerHours: n * 5,
+        serviceProjects: n % 4,
+      },
+      leadershipInfo: {
+        organizations: [`Club ${n % 3}`],
+        positions: n % 2 ? ["Officer"] : [],
+      },
+      researchInfo: {
+        researchStatus: n % 3 === 0,
+        projects: n % 3,
+        publications: n % 2,
+        presentations: n % 4,
+        posters: 0,
+      },
+      internshipInfo: { internshipStatus: n % 2 === 1 },
+    },
+  };
+}
+
+function goalSettingForm(n, registrationId, studentId) {
+  return {
+    _id: `goal-${n}`,
+    completed: true,
+    expRegistrationID: registrationId,
+    studentID: studentId,
+    goals: [{ goal: "Learn Python" }, { goal: "Teamwork" }],
+    expectedGrowth: {
+      teamwork: GROWTH_LEVELS[n % 3],
+      professionalResponsibility: GROWTH_LEVELS[1],
+      effectiveCommunication: GROWTH_LEVELS[2],
+      problemSolving: GROWTH_LEVELS[n % 4],
+      culturalHumility: GROWTH_LEVELS[1],
+      ethicalDecisionMaking: GROWTH_LEVELS[2],
+    },
+  };
+}
+
+function exitForm(n, registrationId, studentId) {
+  return {
+    _id: `exit-${n}`,
+    completed: true,
+    expRegistrationID: registrationId,
+    studentID: studentId,
+    goalProgress: [
+      { progress: "Lots", connection: "Largely" },
+      { progress: "Some", connection: "Partly" },
+    ],
+    achievedGrowth: {
+      teamwork: GROWTH_LEVELS[(n % 3) + 1],
+      professionalResponsibility: GROWTH_LEVELS[3],
+      effectiveCommunication: GROWTH_LEVELS[2],
+      problemSolving: GROWTH_LEVELS[3],
+      culturalHumility: GROWTH_LEVELS[2],
+      ethicalDecisionMaking: GROWTH_LEVELS[2],
+    },
+    likelihood: {
+      completeMinor: "Likely",
+      repeatExperience: n % 2 ? "Unlikely" : "Extremely likely",
+      pursueCareer: "Likely",
+      recommendFriend: "Extremely likely",
+    },
+    activities: {
+      classDiscussion: "Yes",
+      classPresentations: "No",
+      peerFeedback: "Yes",
+    },
+    reflections: {
+      biggestLesson: `Student ${n} learned that teamwork matters.`,
+      experienceContribution: "Great data science projects",
+      additionalComments: n % 2 ? "The course was a lot of work" : "",
+    },
+  };
+}
+
+async function seedDatabase(db) {
+  await db.collection("sessionData").insertMany([
+    { _id: "s1", sessionName: "Fall 2025", sessionStatus: true },
+    { _id: "s2", sessionName: "Spring 2026", sessionStatus: true },
+  ]);
+  await db.collection("expInstanceData").insertMany(
+    INSTANCES.map(({ _id, sessionID, experienceId }) => ({
+      _id,
+      sessionID,
+      expInstanceStatus: true,
+      experience: EXPERIENCES[experienceId],
+    })),
+  );
+  await db.collection("instructorData").insertMany([
+    {
+      name: "Dr. Ada Lovelace",
+      email: "ada@uh.edu",
+      experienceIds: ["e1"],
+      sessionIds: [],
+    },
+    {
+      name: "Dr. Alan Turing",
+      email: "alan@uh.edu",
+      experienceIds: ["e2"],
+      sessionIds: ["s1"],
+    },
+  ]);
+
+  let n = 0;
+  for (const instance of INSTANCES) {
+    for (let i = 0; i < instance.students; i++, n++) {
+      const registrationId = `reg-${n}`;
+      const studentId = `student-${n}`;
+      await db.collection("expRegistrationData").insertOne({
+        _id: registrationId,
+        expInstanceID: instance._id,
+        studentID: studentId,
+      });
+      await db
+        .collection("studentEntryFormData")
+        .insertOne(entryForm(n, registrationId, studentId));
+      if (n !== 3) {
+        await db
+          .collection("goalSettingFormData")
+          .insertOne(goalSettingForm(n, registrationId, studentId));
+      }
+      if (n % 5 !== 4) {
+        await db
+          .collection("studentExitFormData")
+          .insertOne(exitForm(n, registrationId, studentId));
+      }
+    }
+  }
+}
+
+module.exports = { seedDatabase };
@@ -0,0 +1,150 @@
+// A small SMTP server for the tests, so mail goes through nodemailer's SMTP
+// transport as it does in production. It speaks enough SMTP for nodemailer
+// (EHLO/HELO, AUTH PLAIN, MAIL, RCPT, DATA, RSET, NOOP, QUIT) and keeps
+// every accepted message in `messages` as { from, to, user, raw }. Tests
+// make it refuse mail through:
+//   credentials      - { user, pass } a login has to match
+//   rejectRecipient  - (address) => true to answer RCPT with 550
+//   rejectMessage    - a reply such as "554 5.7.1 Spam" for the end of DATA
+const net = require("net");
+
+function startSmtpServer(credentials) {
+  const sockets = new Set();
+  const smtp = {
+    credentials,
+    rejectRecipient: null,
+    rejectMessage: null,
+    messages: [],
+    port: null,
+    close,
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+
+    let buffer = "";
+    let user = null;
+    let envelope = null;
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    function handle(line) {
+      if (data) {
+        if (line !== ".") {
+          data.push(line.startsWith(".") ? line.slice(1) : line);
+          return;
+        }
+        const raw = data.join("\n");
+        data = null;
+        if (smtp.rejectMessage) {
+          reply(smtp.rejectMessage);
+        } else {
+          smtp.messages.push({ ...envelope, user, raw });
+          reply(`250 2.0.0 Queued as ${smtp.messages.length}`);
+        }
+        envelope = null;
+        return;
+      }
+
+      const [verb] = line.split(" ", 1);
+      const argument = line.slice(verb.length + 1);
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          reply("250-localhost");
+          reply(smtp.credentials ? "250 AUTH PLAIN" : "250 8BITMIME");
+          return;
+        case "HELO":
+          reply("250 localhost");
+          return;
+        case "AUTH": {
+          const [, encoded = ""] = argument.split(" ");
+          const [, login, pass] = Buffer.from(encoded, "base64")
+            .toString()
+            .split("\0");
+          const expected = smtp.credentials || {};
+          if (login === expected.user && pass === expected.pass) {
+            user = login;
+            reply("235 2.7.0 Authentication successful");
+          } else {
+            reply("535 5.7.8 Authentication credentials invalid");
+          }
+          return;
+        }
+        case "MAIL":
+          if (smtp.credentials && !user) {
+            reply("530 5.7.0 Authentication required");
+            return;
+          }
+          envelope = { from: address(argument), to: [] };
+          reply("250 2.1.0 OK");
+          return;
+        case "RCPT": {
+          const recipient = address(argument);
+          if (!envelope) {
+            reply("503 5.5.1 MAIL first");
+          } else if (smtp.rejectRecipient && smtp.rejectRecipient(recipient)) {
+            reply(`550 5.1.1 <${recipient}>: Recipient address rejected`);
+          } else {
+            envelope.to.push(recipient);
+            reply("250 2.1.5 OK");
+          }
+          return;
+        }
+        case "DATA":
+          if (!envelope || !envelope.to.length) {
+            reply("554 5.5.1 No valid recipients");
+            return;
+          }
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+          return;
+        case "RSET":
+          envelope = null;
+          reply("250 2.0.0 OK");
+          return;
+        case "NOOP":
+          reply("250 2.0.0 OK");
+          return;
+        case "QUIT":
+          reply("221 2.0.0 Bye");
+          socket.end();
+          return;
+        default:
+          reply("502 5.5.2 Command not recognized");
+      }
+    }
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        handle(line);
+      }
+    });
+    reply("220 localhost ESMTP test server");
+  });
+
+  function close() {
+    sockets.forEach((socket) => socket.destroy());
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      smtp.port = server.address().port;
+      resolve(smtp);
+    });
+  });
+}
+
+// "FROM:<a@b.c> SIZE=123" -> "a@b.c"
+function address(argument) {
+  const match = /<([^>]*)>/.exec(argument);
+  return match ? match[1] : "";
+}
+
+module.exports = { startSmtpServer };
@@ -0,0 +1,166 @@
+// Starts server.js for a test file: MongoDB is the in-memory stand-in,
+// Puppeteer a stand-in that writes a placeholder PDF and records what it
+// was asked to print, logins come from the local identity stand-in
+// (users.json, every password "pw") and mail goes over SMTP to the test
+// server in smtp-server.js. Generated PDFs go to a temporary directory that
+// close() removes.
+// Each test file runs in its own process, so each gets a fresh server.
+// Run the suite with: node --test test/*.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Module = require("module");
+const memoryMongodb = require("./memory-mongodb");
+const { seedDatabase } = require("./seed");
+const { startSmtpServer } = require("./smtp-server");
+
+const SERVER_PATH = path.join(__dirname, "..", "..", "server.js");
+
+// Every page.pdf() call: { html, options, javaScriptEnabled }
+const pdfRenders = [];
+// Awaited before each PDF is written, so a test can hold or fail renders
+let beforePdf = null;
+
+const fakePuppeteer = {
+  async launch() {
+    return {
+      on() {},
+      isConnected: () => true,
+      async newPage() {
+        let html = "";
+        let javaScriptEnabled = true;
+        return {
+          async setJavaScriptEnabled(enabled) {
+            javaScriptEnabled = enabled;
+          },
+          async setContent(content) {
+            html = content;
+          },
+          async pdf(options) {
+            pdfRenders.push({ html, options, javaScriptEnabled });
+            if (beforePdf) await beforePdf();
+            const pdf = Buffer.from("%PDF-1.7 test\n");
+            if (options && options.path) fs.writeFileSync(options.path, pdf);
+            return pdf;
+          },
+          async close() {},
+        };
+      },
+      async close() {},
+    };
+  },
+};
+
+// Hand server.js the stand-ins instead of the real packages
+const originalLoad = Module._load;
+Module._load = function load(request, parent, ...rest) {
+  if (parent && parent.filename === SERVER_PATH) {
+    if (request === "mongodb") return memoryMongodb;
+    if (request === "puppeteer") return fakePuppeteer;
+  }
+  return originalLoad.call(this, request, parent, ...rest);
+};
+
+async function startServer(env = {}) {
+  const smtp = await startSmtpServer({ user: "reports", pass: "smtp-secret" });
+  const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), "report-files-"));
+  Object.assign(process.env, {
+    PORT: "0",
+    MONGODB_URI: "mongodb://memory",
+    AUTH_PROVIDER: "local",
+    AUTH_USERS_FILE: path.join(__dirname, "users.json"),
+    AUTH_SECRET: "test-secret",
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtp.port),
+    SMTP_USER: "reports",
+    SMTP_PASS: "smtp-secret",
+    REPORTS_DIR: reportsDir,
+    ...env,
+  });
+
+  function removeDirs() {
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+  }
+
+  const db = memoryMongodb.memoryDb;
+  await seedDatabase(db);
+
+  let loaded;
+  try {
+    loaded = require(SERVER_PATH);
+  } catch (error) {
+    removeDirs();
+    await smtp.close();
+    throw error;
+  }
+  const { server, ...internals } = loaded;
+  if (!server.listening) {
+    await new Promise((resolve) => server.once("listening", resolve));
+  }
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON in, { status, headers, body } out; body is parsed JSON when the
+  // response is JSON and a Buffer otherwise
+  async function request(method, url, { body, token, headers = {} } = {}) {
+    const isRaw = Buffer.isBuffer(body);
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body !== undefined && !isRaw
+          ? { "Content-Type": "application/json" }
+          : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: isRaw
+        ? body
+        : body === undefined
+          ? undefined
+          : JSON.stringify(body),
+    });
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const isJson = (response.headers.get("content-type") || "").includes(
+      "json",
+    );
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? JSON.parse(buffer.toString()) : buffer,
+    };
+  }
+
+  async function login(email, password = "pw") {
+    const response = await request("POST", "/api/auth/login", {
+      body: { email, password },
+    });
+    if (response.status !== 200) {
+      throw new Error(`Login as ${email} failed: ${response.status}`);
+    }
+    return response.body.token;
+  }
+
+  function onPdfRender(hook) {
+    beforePdf = hook;
+  }
+
+  async function close() {
+    removeDirs();
+    await smtp.close();
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return {
+    db,
+    request,
+    login,
+    close,
+    pdfRenders,
+    onPdfRender,
+    smtp,
+    reportsDir,
+    internals,
+  };
+}
+
+module.exports = { startServer };
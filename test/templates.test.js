@@ -0,0 +1,209 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/start-server");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer();
+  token = await app.login("admin@uh.edu");
+});
+
+after(() => app.close());
+
+function upload(source, fields = {}) {
+  return app.request("POST", "/api/templates", {
+    token,
+    body: {
+      kind: "template",
+      name: "custom_growth",
+      reportType: "growth",
+      source,
+      ...fields,
+    },
+  });
+}
+
+const page = (body) =>
+  `<!DOCTYPE html><html lang="en"><body>${body}</body></html>`;
+
+test("a plain template is stored", async () => {
+  const response = await upload(page("<h1>{{experience}}</h1>"));
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  assert.deepEqual(response.body.errors, []);
+});
+
+test("hostile markup in the source is rejected", async () => {
+  const hostile = [
+    ["<script>alert(1)</script>", "scripts"],
+    ['<SCRIPT src="x.js"></SCRIPT>', "scripts"],
+    ['<img src="logo.png" onerror="alert(1)">', "event handler attributes"],
+    ["<body onload=alert(1)>", "event handler attributes"],
+    ['<a href="javascript:alert(1)">Open</a>', "javascript: links"],
+    ['<a href=" JavaScript:alert(1)">Open</a>', "javascript: links"],
+    ['<iframe src="https://example.com"></iframe>', "iframe, object"],
+    ['<object data="report.swf"></object>', "iframe, object"],
+    ['<embed src="report.swf">', "iframe, object"],
+    ['<meta http-equiv="refresh" content="0;url=/">', "meta refresh"],
+    ["<meta content=0 HTTP-EQUIV=Refresh>", "meta refresh"],
+    ['<img src="https://tracker.example/p.gif">', "external references"],
+    ["<svg><foreignObject></foreignObject></svg>", "foreignObject"],
+  ];
+  for (const [markup, reason] of hostile) {
+    const response = await upload(page(markup));
+    assert.equal(response.status, 400, markup);
+    assert.equal(response.body.error, "Template does not compile");
+    assert.match(response.body.details, /^Templates may not contain/, markup);
+    assert.ok(response.body.details.includes(reason), response.body.details);
+  }
+  const stored = await app.db
+    .collection("reportTemplates")
+    .countDocuments({ name: "custom_growth" });
+  assert.equal(stored, 1);
+});
+
+test("markup assembled at render time is checked too", async () => {
+  // Comments split the tags so the source alone looks harmless
+  for (const markup of [
+    "<scr{{!}}ipt>alert(1)</scr{{!}}ipt>",
+    '<img src="logo.png" on{{!}}error="alert(1)">',
+    "<if{{!}}rame></if{{!}}rame>",
+  ]) {
+    const response = await upload(page(markup));
+    assert.equal(response.status, 201, markup);
+    assert.equal(response.body.errors.length, 1, markup);
+    assert.match(response.body.errors[0], /^The rendered report contains/);
+
+    const activate = await app.request(
+      "POST",
+      `/api/templates/template/custom_growth/versions/` +
+        `${response.body.version}/activate`,
+      { token },
+    );
+    assert.equal(activate.status, 400, markup);
+  }
+});
+
+test("data fields cannot be printed unescaped", async () => {
+  for (const markup of [
+    "<p>{{{experience}}}</p>",
+    "<p>{{&experience}}</p>",
+    "{{#each filters}}<p>{{{label}}}</p>{{/each}}",
+    // Inside #each, logoBase64 would be a field of each filter
+    "{{#each filters}}<img src={{{logoBase64}}}>{{/each}}",
+  ]) {
+    const response = await upload(page(markup));
+    assert.equal(response.status, 400, markup);
+    assert.equal(
+      response.body.details,
+      "Line 1: {{{ }}} may only print charts, logoBase64 and branding.css",
+    );
+  }
+
+  const trusted = await upload(
+    page(
+      "<style>{{{branding.css}}}</style>" +
+        '<img src="{{{logoBase64}}}">' +
+        "{{#each filters}}{{{@root.logoBase64}}}{{/each}}" +
+        '{{{barChart participation.funnel title="Forms"}}}',
+    ),
+  );
+  assert.equal(trusted.status, 201, JSON.stringify(trusted.body));
+  assert.deepEqual(trusted.body.errors, []);
+});
+
+test("text that only looks like an attribute is allowed", async () => {
+  const response = await upload(
+    page("<p>Score one = two; javascript: optional</p>"),
+  );
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  assert.deepEqual(response.body.errors, []);
+});
+
+test("reports are checked again as printed", async () => {
+  const uploaded = await upload(
+    page('<h1 style="color: {{experience}}">Report</h1>'),
+    { name: "styled_growth" },
+  );
+  assert.equal(uploaded.status, 201, JSON.stringify(uploaded.body));
+  assert.deepEqual(uploaded.body.errors, []);
+  const activate = await app.request(
+    "POST",
+    `/api/templates/template/styled_growth/versions/` +
+      `${uploaded.body.version}/activate`,
+    { token },
+  );
+  assert.equal(activate.status, 200, JSON.stringify(activate.body));
+  const assignment = "/api/template-assignments/experience/e1/growth";
+  const assigned = await app.request("PUT", assignment, {
+    token,
+    body: { templateName: "styled_growth" },
+  });
+  assert.equal(assigned.status, 200, JSON.stringify(assigned.body));
+
+  const request = (path, experienceLabel) =>
+    app.request("POST", path, {
+      token,
+      body: {
+        reportType: "growth",
+        sessionId: "s1",
+        experienceId: "e1",
+        instructorName: "Dr. Ada Lovelace",
+        experienceLabel,
+      },
+    });
+  try {
+    const preview = await request("/api/preview", "HON 3397 Course");
+    assert.equal(preview.status, 200);
+    assert.ok(
+      preview.body.toString().includes('style="color: HON 3397 Course"'),
+    );
+
+    // Escaping keeps the text in the attribute, where CSS can still load
+    // a URL
+    const hostile = "red; background: url(//tracker.example/p.gif)";
+    const rendersBefore = app.pdfRenders.length;
+    for (const path of ["/api/preview", "/api/generate-report"]) {
+      const response = await request(path, hostile);
+      assert.equal(response.status, 500, path);
+      assert.equal(
+        response.body.details,
+        "The rendered report contains external references",
+      );
+    }
+    assert.equal(app.pdfRenders.length, rendersBefore);
+  } finally {
+    await app.request("DELETE", assignment, { token });
+  }
+});
+
+test("partials get the same checks", async () => {
+  const partial = (source) =>
+    upload(source, { kind: "partial", name: "footer", reportType: undefined });
+
+  const onclick = await partial('<p onclick="alert(1)">Footer</p>');
+  assert.equal(onclick.status, 400);
+
+  const split = await partial("<p>Footer</p><scr{{!}}ipt></scr{{!}}ipt>");
+  assert.equal(split.status, 201);
+  assert.match(split.body.errors[0], /^The rendered partial contains script/);
+
+  const plain = await partial("<p>{{session}}</p>");
+  assert.equal(plain.status, 201);
+  assert.deepEqual(plain.body.errors, []);
+});
+
+test("reports are printed with JavaScript disabled", async () => {
+  const response = await app.request("POST", "/api/generate-report", {
+    token,
+    body: {
+      reportType: "growth",
+      sessionId: "s1",
+      experienceId: "e1",
+      instructorName: "Dr. Ada Lovelace",
+    },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(app.pdfRenders.at(-1).javaScriptEnabled, false);
+});